@@ -0,0 +1,115 @@
+// Vite plugins for offline play: local MediaPipe assets and a precaching service worker
+import fs from 'node:fs';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+
+// Files the browser loads at runtime from /mediapipe/
+const MEDIAPIPE_PACKAGES = {
+  '@mediapipe/face_mesh': [
+    'face_mesh.js',
+    'face_mesh.binarypb',
+    'face_mesh_solution_packed_assets.data',
+    'face_mesh_solution_packed_assets_loader.js',
+    'face_mesh_solution_simd_wasm_bin.data',
+    'face_mesh_solution_simd_wasm_bin.js',
+    'face_mesh_solution_simd_wasm_bin.wasm',
+    'face_mesh_solution_wasm_bin.js',
+    'face_mesh_solution_wasm_bin.wasm'
+  ]
+};
+
+const CONTENT_TYPES = {
+  '.js': 'text/javascript',
+  '.wasm': 'application/wasm',
+  '.data': 'application/octet-stream',
+  '.binarypb': 'application/octet-stream'
+};
+
+// Map each public file name to its location in node_modules
+function listMediapipeFiles() {
+  const files = new Map();
+  Object.entries(MEDIAPIPE_PACKAGES).forEach(([pkg, names]) => {
+    const dir = path.dirname(require.resolve(`${pkg}/package.json`));
+    names.forEach(name => files.set(name, path.join(dir, name)));
+  });
+  return files;
+}
+
+// Serve Face Mesh from node_modules in dev and copy it into the build
+export function mediapipeAssets() {
+  const files = listMediapipeFiles();
+  let base = '/';
+
+  return {
+    name: 'mediapipe-assets',
+
+    configResolved(resolvedConfig) {
+      base = resolvedConfig.base;
+    },
+
+    configureServer(server) {
+      server.middlewares.use(`${base}mediapipe`, (req, res, next) => {
+        const name = decodeURIComponent(req.url.split('?')[0].replace(/^\//, ''));
+        const file = files.get(name);
+        if (!file) return next();
+        res.setHeader('Content-Type', CONTENT_TYPES[path.extname(name)] || 'application/octet-stream');
+        fs.createReadStream(file).pipe(res);
+      });
+    },
+
+    generateBundle() {
+      files.forEach((file, name) => {
+        this.emitFile({
+          type: 'asset',
+          fileName: `mediapipe/${name}`,
+          source: fs.readFileSync(file)
+        });
+      });
+    }
+  };
+}
+
+// Every browser with service workers reads woff2, so the older font formats
+// bundled alongside it are never requested and needn't be cached
+const SKIPPED_PRECACHE = /\.woff$/;
+
+// Emit sw.js with every built file in its precache list
+export function serviceWorker({ source = 'src/service-worker.js' } = {}) {
+  let config;
+
+  return {
+    name: 'service-worker',
+    apply: 'build',
+
+    configResolved(resolvedConfig) {
+      config = resolvedConfig;
+    },
+
+    generateBundle(options, bundle) {
+      const base = config.base;
+      const publicFiles = fs.existsSync(config.publicDir)
+        ? fs.readdirSync(config.publicDir)
+        : [];
+      const precache = [
+        base,
+        ...Object.keys(bundle).filter(file => !SKIPPED_PRECACHE.test(file)),
+        ...publicFiles
+      ].map(file => (file === base ? file : `${base}${file}`));
+
+      const version = createHash('sha256')
+        .update(precache.join('\n'))
+        .digest('hex')
+        .slice(0, 12);
+
+      const code = fs.readFileSync(path.resolve(config.root, source), 'utf-8')
+        .replace('__PRECACHE_FILES__', JSON.stringify(precache))
+        .replace('__CACHE_VERSION__', JSON.stringify(version))
+        .replace('__BASE_URL__', JSON.stringify(base));
+
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source: code });
+    }
+  };
+}
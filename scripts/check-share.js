@@ -0,0 +1,56 @@
+// Round-trips units through a share link and checks that the questions come back playable
+//
+// Usage: node scripts/check-share.js
+import { buildShareUrl, readShareFromUrl, sharedQuestions } from '../src/share.js';
+import { validateQuestion, hasErrors } from '../src/validation.js';
+
+// share.js reads the page address; stand in for the browser's
+globalThis.location = { origin: 'http://localhost:5173', pathname: '/', search: '', hash: '' };
+
+const UNIT = {
+  unit: 'Hobbies',
+  icon: '🎨',
+  question: [
+    { question: 'Bơi', correct: 'swim', wrong: ['run', 'jump'], image: 'data:image/png;base64,AAAA', audio: 'data:audio/mp3;base64,AAAA' },
+    { type: 'spelling', question: '', correct: 'skateboard', wrong: [] },
+    { type: 'blank', question: 'I like to ___ in the sea.', correct: 'swim', wrong: ['read'] },
+    { question: 'Mười', correct: 10, wrong: [9, null, ' 11 '] }
+  ]
+};
+
+const checks = [];
+function check(name, passed, detail = '') {
+  checks.push(passed);
+  console.log(`  ${passed ? 'ok ' : 'FAIL'} ${name}${!passed && detail ? `: ${detail}` : ''}`);
+}
+
+async function main() {
+  const url = await buildShareUrl([UNIT]);
+  location.hash = new URL(url).hash;
+  const [shared] = await readShareFromUrl();
+  const questions = sharedQuestions(shared);
+
+  check('unit name and details', shared.unit === UNIT.unit && shared.icon === UNIT.icon);
+  check('question count', questions.length === UNIT.question.length, `${questions.length}`);
+  check(
+    'question types',
+    questions.map(q => q.type || 'choice').join() === 'choice,spelling,blank,choice',
+    questions.map(q => q.type).join()
+  );
+  check(
+    'answers come back as text',
+    questions[3].correct === '10' && questions[3].wrong.join() === '9,11',
+    JSON.stringify(questions[3])
+  );
+  check('pictures and audio left out', questions.every(q => !('image' in q) && !('audio' in q)));
+  questions.forEach((q, index) => {
+    const issues = validateQuestion(q);
+    check(`question ${index + 1} is playable`, !hasErrors(issues), issues.map(issue => issue.code).join());
+  });
+
+  const failures = checks.filter(passed => !passed).length;
+  console.log(`\n${checks.length} check(s), ${failures} failed`);
+  process.exitCode = failures > 0 ? 1 : 0;
+}
+
+main();
@@ -0,0 +1,215 @@
+// Writes the synthetic sessions in recordings/ from a simple head model
+// They pin down how detection should treat sitting straight, slouching, quick glances,
+// holding a tilt and two faces; recordings from a real camera can sit alongside them
+//
+// Usage: node scripts/generate-recordings.js [folder]
+import fs from 'node:fs';
+import path from 'node:path';
+
+const FRAME_MS = 33; // About 30 frames a second, like Face Mesh on a laptop camera
+const EYE_HALF_WIDTH = 0.06;
+const FACE_HALF_HEIGHT = 0.12;
+const CHEEK_HALF_WIDTH = 0.08;
+const RECORDED_AT = '2024-01-01T00:00:00.000Z';
+const DEFAULT_SETTINGS = {
+  playerCount: 1,
+  dwellMs: 0,
+  smoothing: 'medium',
+  tilt: { neutralAngle: 0, threshold: 12, debounceMs: 800 }
+};
+
+// Seeded random numbers so the files come out the same every run
+function createRandom(seed) {
+  let value = seed;
+  return () => {
+    value = (value * 1664525 + 1013904223) % 4294967296;
+    return value / 4294967296;
+  };
+}
+
+const toRadians = degrees => degrees * Math.PI / 180;
+const round = value => Math.round(value * 10000) / 10000;
+
+// The landmarks gesture detection reads (see TRACKED_LANDMARKS in camera.js) for a head
+// at camera-image position x, y with the given roll, pitch and yaw in degrees
+function face({ x = 0.5, y = 0.5, roll = 0, pitch = 0, yaw = 0 }) {
+  const dx = EYE_HALF_WIDTH * Math.cos(toRadians(roll));
+  const dy = EYE_HALF_WIDTH * Math.sin(toRadians(roll));
+  const pitchDepth = FACE_HALF_HEIGHT * Math.tan(toRadians(pitch));
+  const yawDepth = CHEEK_HALF_WIDTH * Math.tan(toRadians(yaw));
+  const point = (px, py, pz) => [round(px), round(py), round(pz)];
+  return {
+    1: point(x, y, -0.05),
+    10: point(x, y - FACE_HALF_HEIGHT, -pitchDepth),
+    33: point(x - dx, y - dy, 0),
+    152: point(x, y + FACE_HALF_HEIGHT, pitchDepth),
+    234: point(x - CHEEK_HALF_WIDTH, y, -yawDepth),
+    263: point(x + dx, y + dy, 0),
+    454: point(x + CHEEK_HALF_WIDTH, y, yawDepth)
+  };
+}
+
+// A pose that moves between keyframes: [{ at: ms, roll, pitch, yaw }], eased linearly
+function timeline(keyframes) {
+  return t => {
+    const next = keyframes.findIndex(frame => frame.at > t);
+    if (next === -1) return keyframes[keyframes.length - 1];
+    if (next === 0) return keyframes[0];
+    const from = keyframes[next - 1];
+    const to = keyframes[next];
+    const progress = (t - from.at) / (to.at - from.at);
+    const blend = key => (from[key] ?? 0) + ((to[key] ?? 0) - (from[key] ?? 0)) * progress;
+    return { roll: blend('roll'), pitch: blend('pitch'), yaw: blend('yaw') };
+  };
+}
+
+// Hold a pose from one time to another, e.g. hold(1000, 2000, { roll: 20 })
+function hold(from, to, pose) {
+  return [{ at: from, ...pose }, { at: to, ...pose }];
+}
+
+// Landmark jitter of up to jitter degrees on every angle
+function withJitter(pose, random, jitter) {
+  const noise = () => (random() * 2 - 1) * jitter;
+  return { ...pose, roll: pose.roll + noise(), pitch: pose.pitch + noise(), yaw: pose.yaw + noise() };
+}
+
+// players: [{ x, poses: timeline(...) }], one per face in the image
+function session({ label, durationMs, players, settings = {}, expected, jitter = 1, seed = 1 }) {
+  const random = createRandom(seed);
+  const frames = [];
+  for (let t = 0; t <= durationMs; t += FRAME_MS) {
+    const faces = players.map(player => face({ x: player.x, ...withJitter(player.poses(t), random, jitter) }));
+    // Face Mesh doesn't list faces in any particular order
+    frames.push({ t, faces: random() < 0.5 ? faces : faces.reverse() });
+  }
+  return {
+    version: 1,
+    label,
+    recordedAt: RECORDED_AT,
+    settings: { ...DEFAULT_SETTINGS, ...settings, tilt: { ...DEFAULT_SETTINGS.tilt, ...settings.tilt } },
+    frames,
+    expected
+  };
+}
+
+const neutral = { roll: 0, pitch: 0, yaw: 0 };
+
+const SESSIONS = {
+  // Still head with jitter, one tilt each way; the left tilt is held well past the debounce
+  'sitting-straight': session({
+    label: 'sitting-straight',
+    durationMs: 9000,
+    seed: 11,
+    players: [{
+      x: 0.5,
+      poses: timeline([
+        ...hold(0, 1500, neutral),
+        ...hold(1800, 4500, { roll: 22 }),
+        ...hold(4800, 6000, neutral),
+        ...hold(6300, 7500, { roll: -22 }),
+        ...hold(7800, 9000, neutral)
+      ])
+    }],
+    expected: [{ gesture: 'left', player: 0 }, { gesture: 'right', player: 0 }]
+  }),
+
+  // Resting a little to one side and sinking forward slowly, neither of which is an answer,
+  // then a clear tilt from the slouched position
+  slouching: session({
+    label: 'slouching',
+    durationMs: 8000,
+    seed: 23,
+    jitter: 1.5,
+    players: [{
+      x: 0.5,
+      poses: timeline([
+        { at: 0, roll: 0, pitch: 0, yaw: 0 },
+        { at: 2000, roll: 5, pitch: 8, yaw: 0 },
+        { at: 5000, roll: 7, pitch: 16, yaw: 3 },
+        ...hold(5300, 6500, { roll: 24, pitch: 16, yaw: 3 }),
+        ...hold(6800, 8000, { roll: 6, pitch: 16, yaw: 3 })
+      ])
+    }],
+    expected: [{ gesture: 'left', player: 0 }]
+  }),
+
+  // Glancing to one side and back and a twitch of the head aren't answers; a real shake is
+  'quick-glances': session({
+    label: 'quick-glances',
+    durationMs: 7000,
+    seed: 37,
+    players: [{
+      x: 0.5,
+      poses: timeline([
+        ...hold(0, 800, neutral),
+        { at: 1000, roll: 0, pitch: 0, yaw: 25 },
+        ...hold(1200, 2200, neutral),
+        { at: 2400, roll: 0, pitch: 0, yaw: -25 },
+        ...hold(2600, 3400, neutral),
+        { at: 3450, roll: 14, pitch: 0, yaw: 0 },
+        ...hold(3500, 5000, neutral),
+        { at: 5200, roll: 0, pitch: 0, yaw: -22 },
+        { at: 5500, roll: 0, pitch: 0, yaw: 22 },
+        ...hold(5700, 7000, neutral)
+      ])
+    }],
+    expected: [{ gesture: 'shake', player: 0 }]
+  }),
+
+  // With hold-to-answer on, a short tilt is cancelled and a long one answers once
+  'hold-to-answer': session({
+    label: 'hold-to-answer',
+    durationMs: 7000,
+    seed: 41,
+    settings: { dwellMs: 1000 },
+    players: [{
+      x: 0.5,
+      poses: timeline([
+        ...hold(0, 1000, neutral),
+        ...hold(1200, 1700, { roll: -22 }),
+        ...hold(1900, 3000, neutral),
+        ...hold(3200, 6000, { roll: -22 }),
+        ...hold(6200, 7000, neutral)
+      ])
+    }],
+    expected: [{ gesture: 'right', player: 0 }]
+  }),
+
+  // Versus: player 1 sits on the left, which is the right-hand side of the camera image
+  'two-faces': session({
+    label: 'two-faces',
+    durationMs: 8000,
+    seed: 53,
+    settings: { playerCount: 2 },
+    players: [
+      {
+        x: 0.72,
+        poses: timeline([
+          ...hold(0, 3000, neutral),
+          ...hold(3300, 4500, { roll: 22 }),
+          ...hold(4800, 6000, neutral),
+          { at: 6200, roll: 0, pitch: 18, yaw: 0 },
+          ...hold(6400, 8000, neutral)
+        ])
+      },
+      {
+        x: 0.28,
+        poses: timeline([
+          ...hold(0, 1000, neutral),
+          ...hold(1300, 2500, { roll: -22 }),
+          ...hold(2800, 8000, neutral)
+        ])
+      }
+    ],
+    expected: [{ gesture: 'right', player: 1 }, { gesture: 'left', player: 0 }, { gesture: 'nod', player: 0 }]
+  })
+};
+
+const folder = process.argv[2] || 'recordings';
+fs.mkdirSync(folder, { recursive: true });
+Object.entries(SESSIONS).forEach(([name, recording]) => {
+  const file = path.join(folder, `${name}.json`);
+  fs.writeFileSync(file, JSON.stringify(recording));
+  console.log(`Wrote ${file} (${recording.frames.length} frames)`);
+});
@@ -0,0 +1,127 @@
+// Replays recorded sessions through gesture detection and checks them against their expected gestures
+//
+// Usage: node scripts/replay-gestures.js [files or folders...] [--threshold=12] [--debounce=800] [--dwell=0] [--smoothing=medium]
+// Record sessions with the recorder on the instructions screen (open the game with ?record)
+import fs from 'node:fs';
+import path from 'node:path';
+import { replayRecording, compareGestures } from '../src/replay.js';
+
+const DEFAULT_DIR = 'recordings';
+
+function parseArgs(argv) {
+  const paths = [];
+  const overrides = { tilt: {} };
+
+  argv.forEach(arg => {
+    const match = arg.match(/^--(\w+)=(.+)$/);
+    if (!match) {
+      paths.push(arg);
+      return;
+    }
+    const [, name, value] = match;
+    if (name === 'threshold') overrides.tilt.threshold = Number(value);
+    else if (name === 'debounce') overrides.tilt.debounceMs = Number(value);
+    else if (name === 'neutral') overrides.tilt.neutralAngle = Number(value);
+    else if (name === 'dwell') overrides.dwellMs = Number(value);
+    else if (name === 'smoothing') overrides.smoothing = value;
+    else throw new Error(`Unknown option --${name}`);
+  });
+
+  return { paths: paths.length > 0 ? paths : [DEFAULT_DIR], overrides };
+}
+
+function listRecordings(paths) {
+  return paths.flatMap(target => {
+    if (!fs.existsSync(target)) return [];
+    if (fs.statSync(target).isDirectory()) {
+      return fs.readdirSync(target)
+        .filter(name => name.endsWith('.json'))
+        .sort()
+        .map(name => path.join(target, name));
+    }
+    return [target];
+  });
+}
+
+function formatEvents(events) {
+  if (events.length === 0) return '(none)';
+  return events.map(e => `${e.gesture}${e.player ? ` (P${e.player + 1})` : ''} @${(e.t / 1000).toFixed(2)}s`).join(', ');
+}
+
+// Stand-in for the game screen's canvas that counts the face rings drawn on it,
+// so replays run the drawing code too
+function createStubCanvas() {
+  const drawn = { rings: 0, offCanvas: 0 };
+  const canvas = { width: 640, height: 480 };
+  const ctx = {
+    clearRect() {},
+    beginPath() {},
+    stroke() {},
+    fillText() {},
+    arc(x, y, radius) {
+      if (radius !== 30) return;
+      drawn.rings++;
+      if (!(x >= 0 && x <= canvas.width && y >= 0 && y <= canvas.height)) drawn.offCanvas++;
+    }
+  };
+  canvas.getContext = () => ctx;
+  return { canvas, drawn };
+}
+
+function main() {
+  const { paths, overrides } = parseArgs(process.argv.slice(2));
+  const files = listRecordings(paths);
+
+  // Nothing replayed means nothing checked, which mustn't pass as a success
+  if (files.length === 0) {
+    console.error(`No recordings found in ${paths.join(', ')}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  // Keep the per-gesture logging from camera.js out of the report
+  const log = console.log;
+  console.log = () => {};
+
+  let failures = 0;
+  files.forEach(file => {
+    const recording = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    const name = path.basename(file);
+    const { canvas, drawn } = createStubCanvas();
+    let events;
+    try {
+      events = replayRecording(recording, overrides, canvas);
+    } catch (error) {
+      failures++;
+      log(`  FAIL ${name}: ${error.message}`);
+      return;
+    }
+
+    const faceCount = recording.frames.reduce((total, frame) => total + frame.faces.length, 0);
+    if (drawn.rings !== faceCount || drawn.offCanvas > 0) {
+      failures++;
+      log(`  FAIL ${name}: drew ${drawn.rings} face ring(s) for ${faceCount} face(s), ${drawn.offCanvas} off the canvas`);
+      return;
+    }
+
+    if (!Array.isArray(recording.expected)) {
+      log(`  -   ${name}: ${formatEvents(events)}`);
+      return;
+    }
+
+    const { passed, mismatches } = compareGestures(events, recording.expected);
+    log(`  ${passed ? 'ok ' : 'FAIL'} ${name}: ${formatEvents(events)}`);
+    if (!passed) {
+      failures++;
+      mismatches.forEach(m => {
+        log(`       #${m.index + 1}: expected ${m.expected ? m.expected.gesture : 'nothing'}, got ${m.actual ? m.actual.gesture : 'nothing'}`);
+      });
+    }
+  });
+
+  console.log = log;
+  console.log(`\n${files.length} recording(s), ${failures} failed`);
+  process.exitCode = failures > 0 ? 1 : 0;
+}
+
+main();
@@ -0,0 +1,160 @@
+// Teacher PIN that locks the question manager
+// Only a salted PBKDF2 hash of the PIN is stored, alongside a hash of a one-time
+// recovery code shown when the PIN is set. Failed attempts lock entry for a while,
+// longer each time. It keeps children out of the manager; it is not a substitute
+// for protecting the device itself.
+const LOCK_KEY = 'manager-lock';
+const PBKDF2_ITERATIONS = 150000;
+const MAX_ATTEMPTS = 5; // Failed attempts before entry is locked
+const LOCKOUT_MS = 60 * 1000; // First lockout; doubles each time
+const MAX_LOCKOUT_MS = 60 * 60 * 1000;
+const RECOVERY_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I lookalikes
+const RECOVERY_LENGTH = 12;
+
+function loadLock() {
+  try {
+    return JSON.parse(localStorage.getItem(LOCK_KEY) || 'null');
+  } catch (e) {
+    console.warn('Invalid manager lock, ignoring:', e);
+    return null;
+  }
+}
+
+function saveLock(lock) {
+  localStorage.setItem(LOCK_KEY, JSON.stringify(lock));
+}
+
+function toHex(bytes) {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function fromHex(hex) {
+  return Uint8Array.from(hex.match(/../g), pair => parseInt(pair, 16));
+}
+
+async function hashSecret(secret, saltHex) {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', salt: fromHex(saltHex), iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    key,
+    256
+  );
+  return toHex(new Uint8Array(bits));
+}
+
+// Compare every character so the time taken doesn't hint at how much matched
+function hashesMatch(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+function newSalt() {
+  return toHex(crypto.getRandomValues(new Uint8Array(16)));
+}
+
+function newRecoveryCode() {
+  const values = crypto.getRandomValues(new Uint8Array(RECOVERY_LENGTH));
+  const code = Array.from(values, value => RECOVERY_ALPHABET[value % RECOVERY_ALPHABET.length]).join('');
+  return code.match(/.{4}/g).join('-');
+}
+
+// Accept the code with any spacing, dashes or case
+function normalizeRecoveryCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// PBKDF2 needs the Web Crypto API, which browsers only offer over https or localhost
+export function isLockAvailable() {
+  return typeof crypto !== 'undefined' && !!crypto.subtle;
+}
+
+export function hasPin() {
+  const lock = loadLock();
+  return !!(lock && lock.pinHash);
+}
+
+export function isValidPin(pin) {
+  return /^\d{4,12}$/.test(pin);
+}
+
+// Milliseconds until another attempt is allowed, 0 when not locked out
+export function getLockoutRemaining() {
+  const lock = loadLock();
+  return lock && lock.lockedUntil ? Math.max(0, lock.lockedUntil - Date.now()) : 0;
+}
+
+// Set or change the PIN; resolves with a new recovery code to show the teacher once
+export async function setPin(pin) {
+  if (!isValidPin(pin)) {
+    throw new Error('The PIN must be 4 to 12 digits.');
+  }
+  const recoveryCode = newRecoveryCode();
+  const pinSalt = newSalt();
+  const recoverySalt = newSalt();
+  saveLock({
+    pinSalt,
+    pinHash: await hashSecret(pin, pinSalt),
+    recoverySalt,
+    recoveryHash: await hashSecret(normalizeRecoveryCode(recoveryCode), recoverySalt),
+    failedAttempts: 0,
+    lockouts: 0,
+    lockedUntil: 0
+  });
+  return recoveryCode;
+}
+
+// Count a failed attempt, locking entry once there have been too many
+function recordFailure(lock) {
+  lock.failedAttempts = (lock.failedAttempts || 0) + 1;
+  if (lock.failedAttempts >= MAX_ATTEMPTS) {
+    lock.lockouts = (lock.lockouts || 0) + 1;
+    lock.lockedUntil = Date.now() + Math.min(MAX_LOCKOUT_MS, LOCKOUT_MS * 2 ** (lock.lockouts - 1));
+    lock.failedAttempts = 0;
+  }
+  saveLock(lock);
+  return { ok: false, attemptsLeft: MAX_ATTEMPTS - lock.failedAttempts, lockedFor: getLockoutRemaining() };
+}
+
+function recordSuccess(lock) {
+  lock.failedAttempts = 0;
+  lock.lockouts = 0;
+  lock.lockedUntil = 0;
+  saveLock(lock);
+}
+
+// Resolves with { ok, attemptsLeft, lockedFor }
+export async function verifyPin(pin) {
+  const lock = loadLock();
+  if (!lock || !lock.pinHash) return { ok: false, attemptsLeft: 0, lockedFor: 0 };
+  const lockedFor = getLockoutRemaining();
+  if (lockedFor > 0) return { ok: false, attemptsLeft: 0, lockedFor };
+
+  if (!hashesMatch(await hashSecret(pin, lock.pinSalt), lock.pinHash)) {
+    return recordFailure(lock);
+  }
+  recordSuccess(lock);
+  return { ok: true, attemptsLeft: MAX_ATTEMPTS, lockedFor: 0 };
+}
+
+// Replace a forgotten PIN using the recovery code; the same lockout applies
+// Resolves like verifyPin, plus the next recoveryCode when it worked
+export async function resetPinWithRecoveryCode(code, newPin) {
+  if (!isValidPin(newPin)) {
+    throw new Error('The PIN must be 4 to 12 digits.');
+  }
+  const lock = loadLock();
+  if (!lock || !lock.recoveryHash) return { ok: false, attemptsLeft: 0, lockedFor: 0 };
+  const lockedFor = getLockoutRemaining();
+  if (lockedFor > 0) return { ok: false, attemptsLeft: 0, lockedFor };
+
+  if (!hashesMatch(await hashSecret(normalizeRecoveryCode(code), lock.recoverySalt), lock.recoveryHash)) {
+    return recordFailure(lock);
+  }
+  // Each recovery code works once
+  const recoveryCode = await setPin(newPin);
+  return { ok: true, attemptsLeft: MAX_ATTEMPTS, lockedFor: 0, recoveryCode };
+}
@@ -0,0 +1,119 @@
+// Tilt calibration: records a player's resting angle and comfortable tilt range (per profile)
+import {
+  DEFAULT_TILT_SETTINGS,
+  setAngleListener,
+  setTiltSettings
+} from './camera.js';
+import { profileKey } from './profiles.js';
+
+const CALIBRATION_KEY = 'tilt-calibration';
+const STEP_DURATION_MS = 2500; // How long each pose is sampled
+const MIN_RANGE = 4; // Degrees - anything smaller means the player didn't tilt
+const THRESHOLD_RATIO = 0.6; // Trigger at 60% of the comfortable range
+const MIN_THRESHOLD = 5;
+const MAX_THRESHOLD = 25;
+
+const STEPS = [
+  { id: 'neutral', prompt: '😐 Sit comfortably and look straight at the camera' },
+  { id: 'left', prompt: '⬅️ Tilt your head LEFT as far as feels comfortable and hold it' },
+  { id: 'right', prompt: '➡️ Tilt your head RIGHT as far as feels comfortable and hold it' }
+];
+
+// Load the saved calibration, falling back to the defaults
+export function loadCalibration() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(profileKey(CALIBRATION_KEY)) || 'null');
+    return saved ? { ...DEFAULT_TILT_SETTINGS, ...saved } : null;
+  } catch (e) {
+    console.warn('Invalid calibration data, ignoring:', e);
+    return null;
+  }
+}
+
+function saveCalibration(calibration) {
+  localStorage.setItem(profileKey(CALIBRATION_KEY), JSON.stringify(calibration));
+}
+
+// Forget the saved calibration and go back to the defaults
+export function clearCalibration() {
+  localStorage.removeItem(profileKey(CALIBRATION_KEY));
+  setTiltSettings(DEFAULT_TILT_SETTINGS);
+}
+
+// Feed the saved calibration (or the defaults) into head tracking
+export function applySavedCalibration() {
+  const calibration = loadCalibration();
+  setTiltSettings(calibration || DEFAULT_TILT_SETTINGS);
+  return calibration;
+}
+
+// Collect raw tilt angles for a fixed time, reporting progress from 0 to 1
+function collectSamples(durationMs, onProgress) {
+  return new Promise(resolve => {
+    const samples = [];
+    const start = Date.now();
+
+    setAngleListener(angle => samples.push(angle));
+
+    const timer = setInterval(() => {
+      const progress = Math.min(1, (Date.now() - start) / durationMs);
+      if (onProgress) onProgress(progress);
+      if (progress >= 1) {
+        clearInterval(timer);
+        setAngleListener(null);
+        resolve(samples);
+      }
+    }, 100);
+  });
+}
+
+function average(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+// Value below which the given fraction of samples fall (ignores brief spikes)
+function percentile(values, fraction) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const index = Math.min(sorted.length - 1, Math.floor(sorted.length * fraction));
+  return sorted[index];
+}
+
+// Walk the player through the neutral, left and right poses
+// Resolves with the saved calibration, rejects with a player-friendly message
+export async function runCalibration({ onStep, onProgress } = {}) {
+  const results = {};
+
+  for (const step of STEPS) {
+    if (onStep) onStep(step);
+    const samples = await collectSamples(STEP_DURATION_MS, onProgress);
+    if (samples.length === 0) {
+      throw new Error('We couldn\'t see your face. Move closer to the camera and try again.');
+    }
+    results[step.id] = samples;
+  }
+
+  const neutralAngle = average(results.neutral);
+  // The player's left tilt gives a positive angle, their right tilt a negative one
+  const leftRange = percentile(results.left, 0.9) - neutralAngle;
+  const rightRange = neutralAngle - percentile(results.right, 0.1);
+
+  if (leftRange < MIN_RANGE || rightRange < MIN_RANGE) {
+    throw new Error('We couldn\'t see a tilt to both sides. Please try again.');
+  }
+
+  const comfortableRange = Math.min(leftRange, rightRange);
+  const threshold = Math.min(MAX_THRESHOLD, Math.max(MIN_THRESHOLD, Math.round(comfortableRange * THRESHOLD_RATIO)));
+
+  const calibration = {
+    neutralAngle: Math.round(neutralAngle * 10) / 10,
+    threshold,
+    debounceMs: DEFAULT_TILT_SETTINGS.debounceMs,
+    leftRange: Math.round(leftRange),
+    rightRange: Math.round(rightRange),
+    calibratedAt: Date.now()
+  };
+
+  saveCalibration(calibration);
+  setTiltSettings(calibration);
+  return calibration;
+}
@@ -0,0 +1,42 @@
+// Saved camera choice: which device, what resolution and whether to mirror the video
+import { setCameraOptions } from './camera.js';
+
+const CAMERA_SETTINGS_KEY = 'camera-settings';
+
+export const RESOLUTIONS = {
+  '320x240': 'Low (320×240) - slower computers',
+  '640x480': 'Standard (640×480)',
+  '1280x720': 'HD (1280×720) - far from the camera'
+};
+
+const DEFAULT_CAMERA_SETTINGS = {
+  deviceId: null,
+  resolution: '640x480',
+  mirror: true
+};
+
+export function loadCameraSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CAMERA_SETTINGS_KEY) || '{}');
+    return { ...DEFAULT_CAMERA_SETTINGS, ...saved };
+  } catch (e) {
+    console.warn('Invalid camera settings, using defaults:', e);
+    return { ...DEFAULT_CAMERA_SETTINGS };
+  }
+}
+
+export function saveCameraSettings(settings) {
+  localStorage.setItem(CAMERA_SETTINGS_KEY, JSON.stringify(settings));
+}
+
+// Hand the saved (or given) settings to head tracking
+export function applyCameraSettings(settings = loadCameraSettings()) {
+  const resolution = RESOLUTIONS[settings.resolution] ? settings.resolution : DEFAULT_CAMERA_SETTINGS.resolution;
+  const [width, height] = resolution.split('x').map(Number);
+  setCameraOptions({
+    deviceId: settings.deviceId || null,
+    width,
+    height,
+    mirror: settings.mirror !== false
+  });
+}
@@ -1,13 +1,83 @@
 // Camera and head tracking module
+import { createAngleFilter, DEFAULT_SMOOTHING } from './smoothing.js';
+
 let faceMesh = null;
 let camera = null;
 let isTracking = false;
 let onTiltCallback = null;
-let lastTiltDirection = null;
-let tiltDebounceTimer = null;
+let onAngleCallback = null;
+let dwellMs = 0; // 0 = answer as soon as the tilt crosses the threshold
+let playerCount = 1; // 2 in versus mode, one face per player
+let smoothing = DEFAULT_SMOOTHING;
+let cameraOptions = {
+  deviceId: null, // null = the browser's default front camera
+  width: 640,
+  height: 480,
+  mirror: true // Show the video like a mirror (selfie view)
+};
+let onStatusCallback = null;
+let healthTimer = null;
+let health = createHealthState();
+let onResultsListener = null;
+// Clock used for debounce, dwell and gesture timing (replays substitute recorded time)
+let getNow = () => Date.now();
+
+// Defaults used until a player calibrates (see calibration.js)
+export const DEFAULT_TILT_SETTINGS = {
+  neutralAngle: 0, // Degrees of roll when the player sits naturally
+  threshold: 12, // Degrees away from neutral (lowered for easier detection)
+  debounceMs: 800 // Prevent rapid switches
+};
+
+let tiltSettings = { ...DEFAULT_TILT_SETTINGS };
 
-const TILT_THRESHOLD = 12; // Degrees (lowered for easier detection)
-const DEBOUNCE_MS = 800; // Prevent rapid switches
+const NOD_THRESHOLD = 10; // Degrees of pitch travel needed for a nod
+const SHAKE_THRESHOLD = 12; // Degrees of yaw needed on each side for a shake
+const GESTURE_WINDOW_MS = 900; // A nod or shake must finish within this time
+const EXIT_THRESHOLD_RATIO = 0.5; // A tilt is released once back within half the threshold
+const PLAYER_COLORS = ['#FF6B6B', '#45B7D1'];
+
+// Tracking health monitor
+const HEALTH_CHECK_MS = 500; // How often the monitor re-evaluates
+const FACE_LOST_MS = 1500; // Missing this long counts as having left the camera
+const STABLE_MS = 1000; // Faces must be tracked this long before play resumes
+const LOW_LIGHT_LEVEL = 60; // Average brightness (0-255) below which it's too dark
+const LOW_FPS = 10; // Tracking slower than this makes tilts feel laggy
+
+function createHealthState() {
+  return {
+    videoElement: null,
+    frameTimes: [],
+    lastFaceTime: 0,
+    stableSince: null,
+    brightness: null,
+    lastStatus: null
+  };
+}
+
+// Gesture state kept separately for every tracked player
+function createPlayerTracker() {
+  return {
+    lastTriggerTime: null,
+    angleFilter: createAngleFilter(smoothing),
+    activeTilt: null,
+    tiltFired: false, // The active tilt has answered; cleared when it is released
+    gestureHistory: [],
+    dwellDirection: null,
+    dwellStart: 0
+  };
+}
+
+let trackers = [createPlayerTracker()];
+
+function getFaceMeshOptions() {
+  return {
+    maxNumFaces: playerCount,
+    refineLandmarks: false,
+    minDetectionConfidence: 0.5,
+    minTrackingConfidence: 0.5
+  };
+}
 
 // Initialize MediaPipe Face Mesh
 export async function initFaceTracking(videoElement, canvasElement) {
@@ -34,41 +104,36 @@ export async function initFaceTracking(videoElement, canvasElement) {
   // Reset tracking state
   isTracking = false;
   clearTiltCallback();
+  stopHealthMonitor();
   
   return new Promise((resolve, reject) => {
     const FaceMesh = window.FaceMesh;
     
     if (!FaceMesh) {
-      console.error('FaceMesh not loaded from CDN');
+      console.error('FaceMesh script not loaded');
       reject(new Error('FaceMesh not loaded'));
       return;
     }
 
     faceMesh = new FaceMesh({
+      // Model and wasm files are bundled with the app for offline play
       locateFile: (file) => {
-        return `https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/${file}`;
+        return `${import.meta.env.BASE_URL}mediapipe/${file}`;
       }
     });
 
-    faceMesh.setOptions({
-      maxNumFaces: 1,
-      refineLandmarks: false,
-      minDetectionConfidence: 0.5,
-      minTrackingConfidence: 0.5
-    });
+    faceMesh.setOptions(getFaceMeshOptions());
 
     faceMesh.onResults((results) => {
+      if (onResultsListener) {
+        onResultsListener(results);
+      }
       processResults(results, canvasElement);
     });
 
-    const Camera = window.Camera;
-    if (!Camera) {
-      console.error('Camera utils not loaded from CDN');
-      reject(new Error('Camera utils not loaded'));
-      return;
-    }
+    videoElement.classList.toggle('unmirrored', !cameraOptions.mirror);
 
-    camera = new Camera(videoElement, {
+    camera = createCamera(videoElement, {
       onFrame: async () => {
         if (isTracking && faceMesh) {
           try {
@@ -77,14 +142,13 @@ export async function initFaceTracking(videoElement, canvasElement) {
             console.error('FaceMesh send error:', e);
           }
         }
-      },
-      width: 640,
-      height: 480
+      }
     });
 
     camera.start()
       .then(() => {
         isTracking = true;
+        startHealthMonitor(videoElement);
         console.log('Camera started successfully, tracking enabled');
         resolve();
       })
@@ -95,6 +159,75 @@ export async function initFaceTracking(videoElement, canvasElement) {
   });
 }
 
+// Video constraints for the chosen camera and resolution
+function getVideoConstraints() {
+  const constraints = {
+    width: { ideal: cameraOptions.width },
+    height: { ideal: cameraOptions.height }
+  };
+  if (cameraOptions.deviceId) {
+    constraints.deviceId = { exact: cameraOptions.deviceId };
+  } else {
+    constraints.facingMode = 'user';
+  }
+  return constraints;
+}
+
+// Open the chosen camera, falling back to the default one if it has been unplugged
+async function openCameraStream() {
+  try {
+    return await navigator.mediaDevices.getUserMedia({ video: getVideoConstraints() });
+  } catch (error) {
+    const deviceMissing = error.name === 'OverconstrainedError' || error.name === 'NotFoundError';
+    if (!cameraOptions.deviceId || !deviceMissing) throw error;
+    console.warn('Chosen camera not found, using the default camera:', error);
+    cameraOptions = { ...cameraOptions, deviceId: null };
+    return navigator.mediaDevices.getUserMedia({ video: getVideoConstraints() });
+  }
+}
+
+// Open the chosen camera on the video element and call onFrame for every frame
+// (MediaPipe's Camera helper can only pick the front camera, not a specific device)
+function createCamera(videoElement, { onFrame }) {
+  let stream = null;
+  let frameId = null;
+  let running = false;
+
+  const loop = async () => {
+    if (!running) return;
+    if (videoElement.readyState >= 2) {
+      await onFrame();
+    }
+    if (running) {
+      frameId = requestAnimationFrame(loop);
+    }
+  };
+
+  return {
+    async start() {
+      if (running) return;
+      stream = await openCameraStream();
+      videoElement.srcObject = stream;
+      await videoElement.play();
+      running = true;
+      frameId = requestAnimationFrame(loop);
+    },
+
+    stop() {
+      running = false;
+      if (frameId) {
+        cancelAnimationFrame(frameId);
+        frameId = null;
+      }
+      if (stream) {
+        stream.getTracks().forEach(track => track.stop());
+        stream = null;
+      }
+      videoElement.srcObject = null;
+    }
+  };
+}
+
 // Process face detection results
 function processResults(results, canvasElement) {
   const ctx = canvasElement?.getContext('2d');
@@ -103,12 +236,57 @@ function processResults(results, canvasElement) {
     ctx.clearRect(0, 0, canvasElement.width, canvasElement.height);
   }
   
+  recordHealthFrame(results.multiFaceLandmarks?.length || 0);
+  
   if (!results.multiFaceLandmarks || results.multiFaceLandmarks.length === 0) {
     updateTiltIndicator('No face detected', null);
+    trackers.forEach(resetDwell);
     return;
   }
 
-  const landmarks = results.multiFaceLandmarks[0];
+  const assignments = assignFacesToPlayers(results.multiFaceLandmarks);
+  trackers.forEach((tracker, playerIndex) => {
+    const assignment = assignments.find(a => a.playerIndex === playerIndex);
+    if (assignment) {
+      processFace(assignment.landmarks, playerIndex, ctx, canvasElement);
+    } else {
+      resetDwell(tracker);
+    }
+  });
+}
+
+// Horizontal position of a face on the preview canvas (0 = left edge), for drawing only
+function getScreenX(landmarks) {
+  return cameraOptions.mirror ? 1 - landmarks[1].x : landmarks[1].x;
+}
+
+// Horizontal position of a face from the players' point of view (0 = their left)
+// The camera image is flipped compared to how the players see the room, however the
+// preview is drawn, so the mirror option doesn't change who is player 1
+function getPlayerX(landmarks) {
+  return 1 - landmarks[1].x;
+}
+
+// In versus mode player 1 sits on the left and player 2 on the right
+function assignFacesToPlayers(faces) {
+  if (playerCount === 1) {
+    return [{ landmarks: faces[0], playerIndex: 0 }];
+  }
+  
+  if (faces.length === 1) {
+    return [{ landmarks: faces[0], playerIndex: getPlayerX(faces[0]) < 0.5 ? 0 : 1 }];
+  }
+  
+  return [...faces]
+    .sort((a, b) => getPlayerX(a) - getPlayerX(b))
+    .slice(0, playerCount)
+    .map((landmarks, playerIndex) => ({ landmarks, playerIndex }));
+}
+
+// Detect tilts and gestures for a single player's face
+function processFace(landmarks, playerIndex, ctx, canvasElement) {
+  const tracker = trackers[playerIndex];
+  const now = getNow();
   
   // Calculate head tilt using key facial landmarks
   const leftEye = landmarks[33];
@@ -117,55 +295,325 @@ function processResults(results, canvasElement) {
   // Calculate the angle between eyes to determine head tilt
   const eyeDeltaX = rightEye.x - leftEye.x;
   const eyeDeltaY = rightEye.y - leftEye.y;
-  const tiltAngle = Math.atan2(eyeDeltaY, eyeDeltaX) * (180 / Math.PI);
+  const rawAngle = Math.atan2(eyeDeltaY, eyeDeltaX) * (180 / Math.PI);
+  if (onAngleCallback && playerIndex === 0) {
+    onAngleCallback(rawAngle);
+  }
+  
+  // Measure from the player's own resting angle rather than assuming 0°,
+  // smoothing out landmark jitter before comparing against the thresholds
+  const tiltAngle = tracker.angleFilter.filter(rawAngle, now) - tiltSettings.neutralAngle;
   
   // Determine tilt direction
   // Camera is mirrored (selfie view), so we check the raw angle
   // When user tilts head to THEIR left, right eye goes down, negative angle
   // When user tilts head to THEIR right, left eye goes down, positive angle
-  let tiltDirection = null;
+  const tiltDirection = updateActiveTilt(tracker, tiltAngle);
   
-  // Since camera is mirrored (selfie view), we need to invert the direction
-  // Negative angle -> user tilting to their RIGHT (appears as left in mirror)
-  // Positive angle -> user tilting to their LEFT (appears as right in mirror)
-  if (tiltAngle < -TILT_THRESHOLD) {
-    tiltDirection = 'right';  // User's right
-  } else if (tiltAngle > TILT_THRESHOLD) {
-    tiltDirection = 'left'; // User's left
+  // Nod (pitch) and shake (yaw) are detected as movements over a short window
+  // rather than a held pose, so they only count while the head isn't tilted
+  const { pitchAngle, yawAngle } = calculateHeadPose(landmarks);
+  tracker.gestureHistory.push({ time: now, pitch: pitchAngle, yaw: yawAngle });
+  tracker.gestureHistory = tracker.gestureHistory.filter(sample => now - sample.time <= GESTURE_WINDOW_MS);
+  
+  let gesture = tiltDirection;
+  if (!gesture) {
+    gesture = detectHeadGesture(tracker.gestureHistory);
+    if (gesture) {
+      tracker.gestureHistory = [];
+    }
   }
   
+  // In dwell mode a tilt must be held until the ring fills before it counts
+  const dwellProgress = updateDwell(tracker, tiltDirection, now);
+  const isDwellPending = dwellMs > 0 && tiltDirection && dwellProgress < 1;
+  // A tilt answers once; holding it doesn't answer again until it is released
+  const isTiltSpent = tiltDirection && tracker.tiltFired;
+  
   // Update visual indicator
-  updateTiltIndicator(tiltAngle, tiltDirection);
+  if (playerIndex === 0) {
+    updateTiltIndicator(tiltAngle, gesture);
+  }
   
-  // Trigger callback with debounce - only when direction changes
-  if (tiltDirection && onTiltCallback) {
-    if (!tiltDebounceTimer) {
-      console.log(`Tilt detected: ${tiltDirection}, angle: ${tiltAngle.toFixed(1)}°`);
+  // Trigger callback with debounce - once per tilt, and for each nod or shake
+  if (gesture && onTiltCallback && !isDwellPending && !isTiltSpent) {
+    const isDebounced = tracker.lastTriggerTime !== null && now - tracker.lastTriggerTime < tiltSettings.debounceMs;
+    if (!isDebounced) {
+      console.log(`Gesture detected: ${gesture}, player: ${playerIndex + 1}, angle: ${tiltAngle.toFixed(1)}°`);
       
       // Call the callback
-      onTiltCallback(tiltDirection);
+      onTiltCallback(gesture, playerIndex);
+      if (tiltDirection) {
+        // Require a return to center before this player can tilt-answer again
+        tracker.tiltFired = true;
+      }
       
-      // Set debounce timer
-      tiltDebounceTimer = setTimeout(() => {
-        tiltDebounceTimer = null;
-      }, DEBOUNCE_MS);
+      // Start the debounce window
+      tracker.lastTriggerTime = now;
     }
   }
   
   // Draw face outline on canvas (optional visual feedback)
   if (ctx && canvasElement && canvasElement.width > 0) {
-    drawFaceOutline(ctx, landmarks, canvasElement, tiltDirection);
+    const label = playerCount > 1 ? `P${playerIndex + 1}` : null;
+    drawFaceOutline(ctx, landmarks, canvasElement, gesture, dwellProgress, label);
+  }
+}
+
+// Hysteresis: a tilt becomes active past the threshold and is only released
+// once the head comes back near neutral, so jitter around the threshold can't flicker
+function updateActiveTilt(tracker, tiltAngle) {
+  const enter = tiltSettings.threshold;
+  const exit = tiltSettings.threshold * EXIT_THRESHOLD_RATIO;
+  
+  // Since camera is mirrored (selfie view), we need to invert the direction
+  // Negative angle -> user tilting to their RIGHT (appears as left in mirror)
+  // Positive angle -> user tilting to their LEFT (appears as right in mirror)
+  if (tracker.activeTilt === 'left' && tiltAngle < exit) {
+    tracker.activeTilt = null;
+    tracker.tiltFired = false;
+  } else if (tracker.activeTilt === 'right' && tiltAngle > -exit) {
+    tracker.activeTilt = null;
+    tracker.tiltFired = false;
+  }
+  
+  if (!tracker.activeTilt) {
+    if (tiltAngle < -enter) {
+      tracker.activeTilt = 'right'; // User's right
+    } else if (tiltAngle > enter) {
+      tracker.activeTilt = 'left'; // User's left
+    }
+  }
+  
+  return tracker.activeTilt;
+}
+
+// Track how long the current tilt has been held, returning progress from 0 to 1
+function updateDwell(tracker, tiltDirection, now) {
+  if (dwellMs <= 0 || !onTiltCallback) {
+    resetDwell(tracker);
+    return 0;
+  }
+  
+  if (tiltDirection !== tracker.dwellDirection) {
+    // Returning to center (or switching sides) cancels the pending answer
+    resetDwell(tracker);
+    tracker.dwellDirection = tiltDirection;
+    tracker.dwellStart = now;
   }
+  
+  const progress = tiltDirection && !tracker.tiltFired
+    ? Math.min(1, (now - tracker.dwellStart) / dwellMs)
+    : 0;
+  if (playerCount === 1) {
+    updateDwellCards(tiltDirection, progress);
+  }
+  return progress;
+}
+
+function resetDwell(tracker) {
+  tracker.dwellDirection = null;
+  tracker.dwellStart = 0;
+  if (playerCount === 1) {
+    updateDwellCards(null, 0);
+  }
+}
+
+// Clear debounce windows, gesture history and dwell progress for every player
+function resetTrackers() {
+  trackers.forEach(tracker => {
+    tracker.lastTriggerTime = null;
+    tracker.gestureHistory = [];
+    tracker.angleFilter.reset();
+    tracker.activeTilt = null;
+    tracker.tiltFired = false;
+    resetDwell(tracker);
+  });
+}
+
+// Show the dwell ring on the answer card being chosen
+function updateDwellCards(direction, progress) {
+  if (typeof document === 'undefined') return;
+  ['left', 'right'].forEach(side => {
+    const card = document.getElementById(`answer-${side}`);
+    if (!card) return;
+    const isDwelling = side === direction && progress > 0;
+    card.classList.toggle('dwelling', isDwelling);
+    card.style.setProperty('--dwell-progress', isDwelling ? progress : 0);
+  });
 }
 
+// ===== Tracking Health =====
+
+// Note a processed frame and whether every player's face was in it
+function recordHealthFrame(faceCount) {
+  const now = getNow();
+  health.frameTimes.push(now);
+  health.frameTimes = health.frameTimes.filter(time => now - time <= 1000);
+  if (faceCount >= playerCount) {
+    health.lastFaceTime = now;
+  }
+}
+
+// Rough average brightness of the video (0-255), sampled on a tiny canvas
+function measureBrightness(videoElement) {
+  if (!videoElement || videoElement.readyState < 2) return null;
+  
+  const canvas = document.createElement('canvas');
+  canvas.width = 32;
+  canvas.height = 24;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(videoElement, 0, 0, canvas.width, canvas.height);
+  const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  
+  let total = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    // Perceived luminance (ITU-R BT.601)
+    total += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+  }
+  return total / (data.length / 4);
+}
+
+// Work out the tracking status and report it when anything changes
+function checkHealth() {
+  const now = getNow();
+  const faceVisible = now - health.lastFaceTime < FACE_LOST_MS;
+  
+  if (!faceVisible) {
+    health.stableSince = null;
+  } else if (health.stableSince === null) {
+    health.stableSince = now;
+  }
+  
+  try {
+    health.brightness = measureBrightness(health.videoElement);
+  } catch (e) {
+    health.brightness = null;
+  }
+  
+  const fps = health.frameTimes.length;
+  let status = 'stable';
+  if (!faceVisible) {
+    status = 'lost';
+  } else if (now - health.stableSince < STABLE_MS) {
+    status = 'searching';
+  }
+  
+  const report = {
+    status,
+    fps,
+    brightness: health.brightness === null ? null : Math.round(health.brightness),
+    lowLight: health.brightness !== null && health.brightness < LOW_LIGHT_LEVEL,
+    lowFps: fps < LOW_FPS
+  };
+  
+  const key = `${report.status}|${report.lowLight}|${report.lowFps}`;
+  if (key !== health.lastStatus) {
+    health.lastStatus = key;
+    console.log('Tracking status:', report);
+    if (onStatusCallback) onStatusCallback(report);
+  }
+}
+
+function startHealthMonitor(videoElement) {
+  stopHealthMonitor();
+  health = createHealthState();
+  health.videoElement = videoElement;
+  // Give the player the first moments to get into view before reporting them lost
+  health.lastFaceTime = getNow();
+  healthTimer = setInterval(checkHealth, HEALTH_CHECK_MS);
+}
+
+function stopHealthMonitor() {
+  if (healthTimer) {
+    clearInterval(healthTimer);
+    healthTimer = null;
+  }
+}
+
+// Receive tracking status reports: { status: 'stable' | 'searching' | 'lost', fps, brightness, lowLight, lowFps }
+// cameraError is set when the camera couldn't be restarted
+export function setStatusCallback(callback) {
+  onStatusCallback = callback;
+}
+
+// ===== Recording & Replay =====
+
+// Landmarks the gesture detection reads; recordings keep only these
+export const TRACKED_LANDMARKS = [1, 10, 33, 152, 234, 263, 454];
+
+// Receive every raw Face Mesh result (used by recorder.js)
+export function setResultsListener(callback) {
+  onResultsListener = callback;
+}
+
+// Feed one recorded frame through gesture detection at the recorded time (used by replay.js)
+// Pass a canvas to run the face outline drawing as well
+export function replayResults(results, timestamp, canvasElement = null) {
+  const previousClock = getNow;
+  getNow = () => timestamp;
+  try {
+    processResults(results, canvasElement);
+  } finally {
+    getNow = previousClock;
+  }
+}
+
+// Estimate pitch (nodding) and yaw (shaking) from landmark depth
+function calculateHeadPose(landmarks) {
+  const forehead = landmarks[10];
+  const chin = landmarks[152];
+  const leftCheek = landmarks[234];
+  const rightCheek = landmarks[454];
+  
+  // Looking down brings the forehead closer to the camera than the chin
+  const pitchAngle = Math.atan2(chin.z - forehead.z, chin.y - forehead.y) * (180 / Math.PI);
+  // Turning the head brings one cheek closer to the camera than the other
+  const yawAngle = Math.atan2(rightCheek.z - leftCheek.z, rightCheek.x - leftCheek.x) * (180 / Math.PI);
+  
+  return { pitchAngle, yawAngle };
+}
+
+// Look for a completed nod or shake in the recent pose samples
+function detectHeadGesture(history) {
+  if (history.length < 3) return null;
+  
+  const start = history[0];
+  const latest = history[history.length - 1];
+  const pitchOffsets = history.map(sample => sample.pitch - start.pitch);
+  const yawOffsets = history.map(sample => sample.yaw - start.yaw);
+  const maxPitch = Math.max(...pitchOffsets.map(Math.abs));
+  const maxYaw = Math.max(...yawOffsets.map(Math.abs));
+  
+  // Shake: the head turned past the threshold to both sides
+  if (Math.min(...yawOffsets) < -SHAKE_THRESHOLD && Math.max(...yawOffsets) > SHAKE_THRESHOLD) {
+    return 'shake';
+  }
+  
+  // Nod: the head dipped past the threshold and came back near where it started
+  const returned = Math.abs(latest.pitch - start.pitch) < NOD_THRESHOLD / 2;
+  if (maxPitch >= NOD_THRESHOLD && returned && maxYaw < SHAKE_THRESHOLD) {
+    return 'nod';
+  }
+  
+  return null;
+}
+
+const GESTURE_ICONS = {
+  left: '⬅️',
+  right: '➡️',
+  nod: '👍',
+  shake: '👎'
+};
+
 // Draw face outline for visual feedback
-function drawFaceOutline(ctx, landmarks, canvas, tiltDirection) {
+function drawFaceOutline(ctx, landmarks, canvas, tiltDirection, dwellProgress = 0, label = null) {
   const scaleX = canvas.width;
   const scaleY = canvas.height;
   
   // Draw a simple indicator circle around the face
   const noseTip = landmarks[1];
-  const centerX = (1 - noseTip.x) * scaleX; // Mirror for selfie view
+  const centerX = getScreenX(landmarks) * scaleX; // Mirrored for selfie view unless turned off
   const centerY = noseTip.y * scaleY;
   
   ctx.beginPath();
@@ -177,6 +625,9 @@ function drawFaceOutline(ctx, landmarks, canvas, tiltDirection) {
   } else if (tiltDirection === 'right') {
     ctx.strokeStyle = '#4CAF50';
     ctx.lineWidth = 4;
+  } else if (tiltDirection === 'nod' || tiltDirection === 'shake') {
+    ctx.strokeStyle = '#FF9800';
+    ctx.lineWidth = 4;
   } else {
     ctx.strokeStyle = '#6C63FF';
     ctx.lineWidth = 2;
@@ -184,18 +635,36 @@ function drawFaceOutline(ctx, landmarks, canvas, tiltDirection) {
   
   ctx.stroke();
   
+  // Draw the dwell ring filling clockwise from the top
+  if (dwellProgress > 0) {
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, 40, -Math.PI / 2, -Math.PI / 2 + dwellProgress * 2 * Math.PI);
+    ctx.strokeStyle = '#4CAF50';
+    ctx.lineWidth = 8;
+    ctx.lineCap = 'round';
+    ctx.stroke();
+  }
+  
+  // Name the player in versus mode
+  if (label) {
+    ctx.font = 'bold 24px Nunito, Arial';
+    ctx.fillStyle = PLAYER_COLORS[label === 'P1' ? 0 : 1];
+    ctx.textAlign = 'center';
+    ctx.fillText(label, centerX, centerY + 70);
+  }
+  
   // Draw direction arrow
   if (tiltDirection) {
     ctx.font = '40px Arial';
     ctx.fillStyle = '#4CAF50';
     ctx.textAlign = 'center';
-    const arrow = tiltDirection === 'left' ? '⬅️' : '➡️';
-    ctx.fillText(arrow, centerX, centerY - 50);
+    ctx.fillText(GESTURE_ICONS[tiltDirection], centerX, centerY - 50);
   }
 }
 
 // Update tilt indicator text
 function updateTiltIndicator(angle, direction) {
+  if (typeof document === 'undefined') return;
   const indicator = document.getElementById('tilt-indicator');
   const arrow = document.getElementById('direction-arrow');
   
@@ -209,6 +678,12 @@ function updateTiltIndicator(angle, direction) {
     } else if (direction === 'right') {
       indicator.textContent = `➡️ Tilting RIGHT (${Math.abs(angle).toFixed(0)}°)`;
       indicator.className = 'tilt-indicator right';
+    } else if (direction === 'nod') {
+      indicator.textContent = '👍 Nod detected (yes)';
+      indicator.className = 'tilt-indicator nod';
+    } else if (direction === 'shake') {
+      indicator.textContent = '👎 Shake detected (no)';
+      indicator.className = 'tilt-indicator shake';
     } else {
       indicator.textContent = `Keep your head straight (${Math.abs(angle).toFixed(0)}°)`;
       indicator.className = 'tilt-indicator';
@@ -226,53 +701,128 @@ function updateTiltIndicator(angle, direction) {
 }
 
 // Set callback for when user tilts head
+// The callback receives 'left' or 'right' for a tilt, 'nod' or 'shake' for a gesture,
+// plus the index of the player who made it (always 0 outside versus mode)
 export function setTiltCallback(callback) {
   onTiltCallback = callback;
-  lastTiltDirection = null;
-  if (tiltDebounceTimer) {
-    clearTimeout(tiltDebounceTimer);
-    tiltDebounceTimer = null;
-  }
+  resetTrackers();
   console.log('Tilt callback set');
 }
 
+// Apply a player's calibrated neutral angle, threshold and debounce
+export function setTiltSettings(settings) {
+  tiltSettings = {
+    neutralAngle: Number(settings?.neutralAngle) || DEFAULT_TILT_SETTINGS.neutralAngle,
+    threshold: Number(settings?.threshold) || DEFAULT_TILT_SETTINGS.threshold,
+    debounceMs: Number(settings?.debounceMs) || DEFAULT_TILT_SETTINGS.debounceMs
+  };
+}
+
+export function getTiltSettings() {
+  return { ...tiltSettings };
+}
+
+// Everything that affects gesture detection, so a recording can be replayed the same way
+export function getTrackingOptions() {
+  return {
+    playerCount,
+    dwellMs,
+    smoothing,
+    tilt: { ...tiltSettings }
+  };
+}
+
+// Require a tilt to be held for the given time before it counts (0 turns dwell off)
+export function setDwellTime(ms) {
+  dwellMs = Math.max(0, Number(ms) || 0);
+  resetTrackers();
+}
+
+// Choose how strongly the tilt angle is smoothed ('off', 'light', 'medium' or 'strong')
+export function setSmoothing(strength) {
+  smoothing = strength;
+  trackers.forEach(tracker => {
+    tracker.angleFilter = createAngleFilter(smoothing);
+    tracker.activeTilt = null;
+    tracker.tiltFired = false;
+  });
+}
+
+// Track one face (solo) or two faces (versus), one per player
+export function setPlayerCount(count) {
+  resetTrackers();
+  playerCount = count === 2 ? 2 : 1;
+  trackers = Array.from({ length: playerCount }, createPlayerTracker);
+  if (faceMesh) {
+    faceMesh.setOptions(getFaceMeshOptions());
+  }
+}
+
+// Receive the raw head roll angle of every frame (used while calibrating)
+export function setAngleListener(callback) {
+  onAngleCallback = callback;
+}
+
 // Clear tilt callback
 export function clearTiltCallback() {
   onTiltCallback = null;
-  lastTiltDirection = null;
-  if (tiltDebounceTimer) {
-    clearTimeout(tiltDebounceTimer);
-    tiltDebounceTimer = null;
-  }
+  resetTrackers();
 }
 
 // Stop tracking
 export function stopTracking() {
   isTracking = false;
   clearTiltCallback();
+  stopHealthMonitor();
+  onStatusCallback = null;
   if (camera) {
     camera.stop();
   }
 }
 
-// Resume tracking
-export function resumeTracking() {
+// Resume tracking; resolves with false when the camera can't be restarted
+export async function resumeTracking() {
   isTracking = true;
-  if (camera) {
-    camera.start();
+  if (!camera) return false;
+  try {
+    await camera.start();
+  } catch (error) {
+    console.error('Failed to restart the camera:', error);
+    isTracking = false;
+    if (onStatusCallback) {
+      onStatusCallback({ status: 'lost', fps: 0, brightness: null, lowLight: false, lowFps: false, cameraError: true });
+    }
+    return false;
   }
+  startHealthMonitor(health.videoElement);
+  return true;
+}
+
+// Choose the camera device, resolution and mirroring used by initFaceTracking
+export function setCameraOptions(options) {
+  cameraOptions = { ...cameraOptions, ...options };
+}
+
+export function getCameraOptions() {
+  return { ...cameraOptions };
+}
+
+// List the cameras on this device (names are only available once permission is granted)
+export async function listCameras() {
+  if (!navigator.mediaDevices?.enumerateDevices) return [];
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    .filter(device => device.kind === 'videoinput')
+    .map((device, index) => ({
+      deviceId: device.deviceId,
+      label: device.label || `Camera ${index + 1}`
+    }));
 }
 
 // Request camera permission
 export async function requestCameraPermission() {
   try {
-    const stream = await navigator.mediaDevices.getUserMedia({ 
-      video: { 
-        width: { ideal: 640 },
-        height: { ideal: 480 },
-        facingMode: 'user'
-      } 
-    });
+    const stream = await openCameraStream();
     // Stop the stream immediately - we just wanted to check permission
     stream.getTracks().forEach(track => track.stop());
     return true;
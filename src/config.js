@@ -1,5 +0,0 @@
-// Configuration file for application settings
-export const config = {
-  // Password for managing questions
-  managerPassword: 'lthang111'
-};
@@ -111,6 +111,25 @@ export function showWrongFeedback(callback) {
   }, 1200);
 }
 
+// Show time-up feedback with the answer that was right, a little longer so it can be read
+export function showTimeUpFeedback(answer, callback) {
+  const overlay = document.getElementById('feedback-overlay');
+  const icon = document.getElementById('feedback-icon');
+  const text = document.getElementById('feedback-text');
+  
+  icon.textContent = '⏰';
+  text.textContent = `Time's up! It was "${answer}"`;
+  text.style.color = '#FF9800';
+  
+  overlay.classList.remove('hidden');
+  playSound('wrong');
+  
+  setTimeout(() => {
+    overlay.classList.add('hidden');
+    if (callback) callback();
+  }, 2000);
+}
+
 // Star burst effect for final score
 export function celebrateScore(score, total) {
   if (score >= total * 0.8) {
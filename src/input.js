@@ -0,0 +1,148 @@
+// Alternative inputs (keyboard, touch, gamepad) that answer like a head tilt
+const INPUT_SETTINGS_KEY = 'input-methods';
+
+export const INPUT_METHODS = {
+  head: '🙂 Head tilt (camera)',
+  keyboard: '⌨️ Keyboard arrows',
+  touch: '👆 Tap the answer cards',
+  gamepad: '🎮 Gamepad'
+};
+
+// Keyboard keys per player; in solo mode every key belongs to player 1
+// Down/up pick the nod and shake answers in 3- and 4-option rounds
+const KEY_BINDINGS = {
+  ArrowLeft: { direction: 'left', versusPlayer: 1 },
+  ArrowRight: { direction: 'right', versusPlayer: 1 },
+  ArrowDown: { direction: 'nod', versusPlayer: 1 },
+  ArrowUp: { direction: 'shake', versusPlayer: 1 },
+  a: { direction: 'left', versusPlayer: 0 },
+  d: { direction: 'right', versusPlayer: 0 },
+  s: { direction: 'nod', versusPlayer: 0 },
+  w: { direction: 'shake', versusPlayer: 0 }
+};
+
+// Standard gamepad mapping: D-pad and the shoulder buttons
+const GAMEPAD_BUTTONS = {
+  14: 'left',
+  15: 'right',
+  13: 'nod',
+  12: 'shake',
+  4: 'left',
+  5: 'right'
+};
+
+const ANSWER_CARD_IDS = ['answer-left', 'answer-right', 'answer-nod', 'answer-shake'];
+const GAMEPAD_AXIS_THRESHOLD = 0.6;
+
+let onInputCallback = null;
+let activePlayerCount = 1;
+let activeMethods = null;
+let gamepadFrame = null;
+let gamepadPressed = {};
+
+// Load which inputs the teacher has turned on (all of them by default)
+export function loadInputSettings() {
+  const defaults = Object.fromEntries(Object.keys(INPUT_METHODS).map(method => [method, true]));
+  try {
+    const saved = JSON.parse(localStorage.getItem(INPUT_SETTINGS_KEY) || '{}');
+    return { ...defaults, ...saved };
+  } catch (e) {
+    console.warn('Invalid input settings, using defaults:', e);
+    return defaults;
+  }
+}
+
+export function saveInputSettings(settings) {
+  localStorage.setItem(INPUT_SETTINGS_KEY, JSON.stringify(settings));
+}
+
+function handleKeyDown(e) {
+  const binding = KEY_BINDINGS[e.key.length === 1 ? e.key.toLowerCase() : e.key];
+  if (!binding || !onInputCallback) return;
+  e.preventDefault();
+  const playerIndex = activePlayerCount > 1 ? binding.versusPlayer : 0;
+  onInputCallback(binding.direction, playerIndex);
+}
+
+function handleCardTap(e) {
+  if (!onInputCallback) return;
+  const direction = e.currentTarget.id.replace('answer-', '');
+  onInputCallback(direction, 0);
+}
+
+// Read the direction currently held on a gamepad, if any
+function readGamepadDirection(gamepad) {
+  for (const [index, direction] of Object.entries(GAMEPAD_BUTTONS)) {
+    if (gamepad.buttons[index]?.pressed) return direction;
+  }
+  const axis = gamepad.axes[0] || 0;
+  if (axis < -GAMEPAD_AXIS_THRESHOLD) return 'left';
+  if (axis > GAMEPAD_AXIS_THRESHOLD) return 'right';
+  return null;
+}
+
+// The Gamepad API has no events for buttons, so poll once per frame
+function pollGamepads() {
+  const gamepads = navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+
+  gamepads.filter(Boolean).forEach(gamepad => {
+    const direction = readGamepadDirection(gamepad);
+    // Only fire when a direction is first pressed, not while it is held
+    if (direction && gamepadPressed[gamepad.index] !== direction && onInputCallback) {
+      const playerIndex = Math.min(gamepad.index, activePlayerCount - 1);
+      onInputCallback(direction, playerIndex);
+    }
+    gamepadPressed[gamepad.index] = direction;
+  });
+
+  gamepadFrame = requestAnimationFrame(pollGamepads);
+}
+
+// Start listening on the enabled inputs, calling back with an answer zone and a player index
+export function startInput(callback, { methods = loadInputSettings(), playerCount = 1 } = {}) {
+  stopInput();
+  onInputCallback = callback;
+  activePlayerCount = playerCount;
+  activeMethods = methods;
+
+  if (methods.keyboard) {
+    document.addEventListener('keydown', handleKeyDown);
+  }
+
+  if (methods.touch) {
+    ANSWER_CARD_IDS.forEach(id => {
+      document.getElementById(id).addEventListener('click', handleCardTap);
+    });
+    document.querySelector('.answers-container').classList.add('tappable');
+  }
+
+  if (methods.gamepad && navigator.getGamepads) {
+    gamepadPressed = {};
+    gamepadFrame = requestAnimationFrame(pollGamepads);
+  }
+}
+
+// Stop listening on every input
+export function stopInput() {
+  onInputCallback = null;
+  if (!activeMethods) return;
+
+  document.removeEventListener('keydown', handleKeyDown);
+  ANSWER_CARD_IDS.forEach(id => {
+    document.getElementById(id).removeEventListener('click', handleCardTap);
+  });
+  document.querySelector('.answers-container').classList.remove('tappable');
+  if (gamepadFrame) {
+    cancelAnimationFrame(gamepadFrame);
+    gamepadFrame = null;
+  }
+  activeMethods = null;
+}
+
+// Short hint listing the enabled inputs other than head tilt
+export function describeInputs(methods = loadInputSettings()) {
+  return Object.keys(INPUT_METHODS)
+    .filter(method => method !== 'head' && methods[method])
+    .map(method => INPUT_METHODS[method])
+    .join(' · ');
+}
@@ -7,28 +7,142 @@ import {
   getGameQuestions,
   prepareQuestion,
   toggleQuestion,
+  restoreQuestions,
+  deleteQuestions,
+  setQuestionsDisabled,
+  moveQuestions,
+  copyQuestions,
+  removeQuestions,
+  searchQuestions,
+  getTrash,
+  restoreFromTrash,
+  emptyTrash,
+  initQuestionStore,
+  exportUnits,
+  importUnits,
+  isUnitArray,
   getUnits,
   addUnit,
   updateUnit,
-  deleteUnit
+  deleteUnit,
+  setUnitDirection,
+  reorderUnits,
+  getUnitLevels,
+  mergeQuestions,
+  ANSWER_ZONES,
+  UNIT_COLORS,
+  UNIT_ICONS
 } from './questions.js';
 
+import {
+  BLANK_PATTERN,
+  validateQuestion,
+  validateAgainstBank,
+  checkBank,
+  hasErrors,
+  issuesByQuestion,
+  cleanWrongAnswers
+} from './validation.js';
+
 import {
   initFaceTracking,
   setTiltCallback,
   clearTiltCallback,
+  setDwellTime,
+  setPlayerCount,
+  setSmoothing,
+  setStatusCallback,
+  getCameraOptions,
+  listCameras,
   stopTracking,
   requestCameraPermission,
   isCameraAvailable
 } from './camera.js';
 
+import {
+  applySavedCalibration,
+  runCalibration,
+  clearCalibration
+} from './calibration.js';
+
+import {
+  RESOLUTIONS,
+  loadCameraSettings,
+  saveCameraSettings,
+  applyCameraSettings
+} from './camera-settings.js';
+
+import {
+  isRecording,
+  startRecording,
+  stopRecording,
+  downloadRecording
+} from './recorder.js';
+
+import {
+  INPUT_METHODS,
+  loadInputSettings,
+  saveInputSettings,
+  startInput,
+  stopInput,
+  describeInputs
+} from './input.js';
+
 import {
   showCorrectFeedback,
   showWrongFeedback,
+  showTimeUpFeedback,
   celebrateScore
 } from './effects.js';
 
-import { config } from './config.js';
+import { recordAnswer, countDueByUnit, getReviewEntry } from './review.js';
+
+import {
+  AVATARS,
+  getProfiles,
+  getActiveProfile,
+  setActiveProfile,
+  profileKey,
+  addProfile,
+  updateProfile,
+  deleteProfile,
+  recordSession
+} from './profiles.js';
+
+import {
+  isSpeechAvailable,
+  loadSpeechSettings,
+  saveSpeechSettings,
+  getVoices,
+  speakPrompt,
+  speakAnswer,
+  stopSpeaking
+} from './speech.js';
+
+import { readImageFile, readAudioFile } from './media.js';
+
+import { showToast } from './toast.js';
+import { isShareAvailable, buildShareUrl, readShareFromUrl, sharedQuestions, clearShareFromUrl, drawQRCode } from './share.js';
+
+import {
+  COLUMN_FIELDS,
+  parseCSV,
+  toCSV,
+  guessColumnMapping,
+  defaultColumnMapping,
+  rowsToUnitArray,
+  unitArrayToRows,
+  downloadFile
+} from './spreadsheet.js';
+
+import {
+  isLockAvailable,
+  hasPin,
+  setPin,
+  verifyPin,
+  resetPinWithRecoveryCode,
+  getLockoutRemaining
+} from './auth.js';
 
 // Game State
 const state = {
@@ -40,9 +154,56 @@ const state = {
   editingQuestionId: null,
   editingUnitId: null,
   unitModalMode: 'add',
-  isAuthenticated: false
+  isAuthenticated: false,
+  authMode: 'unlock',
+  afterUnlock: null,
+  managerSessionTimer: null,
+  managerSessionExpiresAt: 0,
+  isCalibrating: false,
+  useHeadTracking: true,
+  isPaused: false,
+  isVersus: false,
+  players: [],
+  versusTimer: null,
+  versusTimerEndsAt: 0,
+  versusTimeLeft: 0,
+  timeLimitMs: 0,
+  questionTimer: null,
+  questionElapsedMs: 0,
+  points: 0,
+  responses: [],
+  importSource: null,
+  editingProfileId: null,
+  editingMedia: { image: null, audio: null },
+  selectedQuestionIds: new Set(),
+  bankIssues: [],
+  sharedUnit: null,
+  draggedUnitId: null,
+  promptAudio: null
 };
 
+// After one player answers in versus mode, the other has this long to answer
+const VERSUS_ANSWER_WINDOW_MS = 5000;
+
+// Timed mode: the countdown ticks this often, and only while the game isn't paused
+const QUESTION_TICK_MS = 100;
+const COUNTDOWN_WARNING_MS = 3000;
+// Each correct answer is worth this many points, plus up to MAX_SPEED_BONUS
+// for answering with the whole time limit left
+const POINTS_PER_CORRECT = 10;
+const MAX_SPEED_BONUS = 10;
+
+// The manager locks itself after this long without being used
+const MANAGER_SESSION_MS = 10 * 60 * 1000;
+const MANAGER_SESSION_CHECK_MS = 15 * 1000;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Text from share links, imports and players, made safe to put in markup
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
 // DOM Elements cache
 const screens = {
   welcome: document.getElementById('welcome-screen'),
@@ -54,19 +215,47 @@ const screens = {
 };
 
 // Initialize the application
-function init() {
+async function init() {
+  registerServiceWorker();
+  // Every control reads the question bank, so none responds until it has loaded
+  await initQuestionStore();
   setupEventListeners();
   loadSavedSettings();
+  renderProfilePicker();
   refreshUnitSelectors();
   showScreen('welcome');
+  openSharedUnitFromUrl();
+}
+
+// Cache the app and Face Mesh model so it can be installed and played offline
+function registerServiceWorker() {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`)
+    .catch(error => console.warn('Service worker registration failed:', error));
 }
 
 // Load saved settings from localStorage
 function loadSavedSettings() {
-  const savedLimit = localStorage.getItem('question-limit');
-  if (savedLimit) {
-    document.getElementById('question-limit').value = savedLimit;
-  }
+  loadProfileSettings();
+  document.getElementById('versus-toggle').checked = localStorage.getItem('versus-mode') === 'true';
+  updateVersusHint();
+  // Landmark recorder for tuning gesture detection, shown with ?record in the URL
+  const showRecorder = new URLSearchParams(window.location.search).has('record');
+  document.getElementById('recorder-panel').classList.toggle('hidden', !showRecorder);
+  applyCameraSettings();
+}
+
+// Load the active player's settings, falling back to the defaults
+function loadProfileSettings() {
+  document.getElementById('question-limit').value = localStorage.getItem(profileKey('question-limit')) || '';
+  document.getElementById('time-limit-select').value = localStorage.getItem(profileKey('time-limit')) || '0';
+  document.getElementById('option-count-select').value = localStorage.getItem(profileKey('option-count')) || '2';
+  document.getElementById('dwell-select').value = localStorage.getItem(profileKey('dwell-ms')) || '0';
+  setDwellTime(document.getElementById('dwell-select').value);
+  document.getElementById('smoothing-select').value = localStorage.getItem(profileKey('smoothing-strength')) || 'medium';
+  setSmoothing(document.getElementById('smoothing-select').value);
+  document.getElementById('smart-review-toggle').checked = localStorage.getItem(profileKey('smart-review')) === 'true';
+  updateCalibrationStatus(applySavedCalibration());
 }
 
 // Setup all event listeners
@@ -74,6 +263,19 @@ function setupEventListeners() {
   // Welcome screen
   document.getElementById('start-btn').addEventListener('click', handleStartGame);
   document.getElementById('manage-btn').addEventListener('click', handleManageClick);
+  document.getElementById('profile-form').addEventListener('submit', handleSaveProfile);
+  document.getElementById('cancel-profile-modal-btn').addEventListener('click', closeProfileModal);
+  document.getElementById('close-profile-history-btn').addEventListener('click', closeProfileHistory);
+  document.getElementById('auth-form').addEventListener('submit', handleAuthSubmit);
+  document.getElementById('cancel-auth-btn').addEventListener('click', closeAuthModal);
+  document.getElementById('forgot-pin-btn').addEventListener('click', () => openAuthModal('recover'));
+  document.getElementById('close-recovery-code-btn').addEventListener('click', closeRecoveryCodeModal);
+  document.getElementById('option-count-select').addEventListener('change', handleOptionCountChange);
+  document.getElementById('smart-review-toggle').addEventListener('change', handleSmartReviewChange);
+  document.getElementById('unit-level-filter').addEventListener('change', handleUnitLevelFilterChange);
+  document.getElementById('dwell-select').addEventListener('change', handleDwellChange);
+  document.getElementById('smoothing-select').addEventListener('change', handleSmoothingChange);
+  document.getElementById('versus-toggle').addEventListener('change', handleVersusChange);
   
   // Permission screen
   document.getElementById('allow-camera-btn').addEventListener('click', handleAllowCamera);
@@ -81,43 +283,130 @@ function setupEventListeners() {
   
   // Instructions screen
   document.getElementById('ready-btn').addEventListener('click', startGame);
+  document.getElementById('calibrate-btn').addEventListener('click', handleCalibrate);
+  document.getElementById('reset-calibration-btn').addEventListener('click', handleResetCalibration);
+  document.getElementById('record-btn').addEventListener('click', handleRecordClick);
+  
+  // Camera settings (permission and instructions screens)
+  document.querySelectorAll('.camera-device-select, .camera-resolution-select, .camera-mirror-toggle').forEach(control => {
+    control.addEventListener('change', handleCameraSettingChange);
+  });
   
   // Results screen
   document.getElementById('play-again-btn').addEventListener('click', handlePlayAgain);
   
   // Game screen
+  document.getElementById('replay-prompt-btn').addEventListener('click', () => readPromptAloud(state.questions[state.currentQuestionIndex]));
   document.getElementById('end-game-btn').addEventListener('click', endGame);
   
   // Manager screen
   document.getElementById('manager-back-btn').addEventListener('click', handleManagerBack);
+  document.getElementById('change-pin-btn').addEventListener('click', managerOnly(() => openAuthModal('change')));
+  // Any use of the manager keeps the session open
+  screens.manager.addEventListener('pointerdown', touchManagerSession);
+  screens.manager.addEventListener('keydown', touchManagerSession);
   document.getElementById('manager-start-btn').addEventListener('click', handleStartGame);
-  document.getElementById('add-question-btn').addEventListener('click', handleAddQuestion);
-  document.getElementById('reset-questions-btn').addEventListener('click', handleResetQuestions);
-  document.getElementById('cancel-modal-btn').addEventListener('click', closeQuestionModal);
-  document.getElementById('question-form').addEventListener('submit', handleSaveQuestion);
-  document.getElementById('confirm-reset-btn').addEventListener('click', confirmReset);
-  document.getElementById('cancel-reset-btn').addEventListener('click', cancelReset);
-  document.getElementById('add-unit-btn').addEventListener('click', () => openUnitModal('add'));
-  document.getElementById('rename-unit-btn').addEventListener('click', () => openUnitModal('rename'));
-  document.getElementById('delete-unit-btn').addEventListener('click', handleDeleteUnitClick);
-  document.getElementById('unit-form').addEventListener('submit', handleSaveUnit);
-  document.getElementById('cancel-unit-modal-btn').addEventListener('click', closeUnitModal);
-  document.getElementById('confirm-delete-unit-btn').addEventListener('click', confirmDeleteUnit);
-  document.getElementById('cancel-delete-unit-btn').addEventListener('click', cancelDeleteUnit);
+  document.getElementById('add-question-btn').addEventListener('click', managerOnly(handleAddQuestion));
+  document.getElementById('reset-questions-btn').addEventListener('click', managerOnly(handleResetQuestions));
+  document.getElementById('import-btn').addEventListener('click', managerOnly(openImportModal));
+  document.getElementById('import-file-input').addEventListener('change', managerOnly(handleImportFile));
+  document.getElementById('import-header-toggle').addEventListener('change', managerOnly(handleImportHeaderChange));
+  document.getElementById('import-unit-input').addEventListener('input', managerOnly(renderImportPreview));
+  document.getElementById('confirm-import-btn').addEventListener('click', managerOnly(handleConfirmImport));
+  document.getElementById('cancel-import-btn').addEventListener('click', managerOnly(closeImportModal));
+  document.getElementById('export-btn').addEventListener('click', managerOnly(openExportModal));
+  document.getElementById('trash-btn').addEventListener('click', managerOnly(openTrashModal));
+  document.getElementById('check-bank-btn').addEventListener('click', managerOnly(openCheckBankModal));
+  document.getElementById('close-check-bank-btn').addEventListener('click', managerOnly(closeCheckBankModal));
+  document.getElementById('question-search').addEventListener('input', managerOnly(renderQuestionsList));
+  document.getElementById('search-all-units').addEventListener('change', managerOnly(renderQuestionsList));
+  document.getElementById('question-status-filter').addEventListener('change', managerOnly(renderQuestionsList));
+  document.getElementById('select-all-questions').addEventListener('change', managerOnly(handleSelectAllQuestions));
+  document.getElementById('bulk-enable-btn').addEventListener('click', managerOnly(() => handleBulkDisable(false)));
+  document.getElementById('bulk-disable-btn').addEventListener('click', managerOnly(() => handleBulkDisable(true)));
+  document.getElementById('bulk-move-btn').addEventListener('click', managerOnly(handleBulkMove));
+  document.getElementById('bulk-copy-btn').addEventListener('click', managerOnly(handleBulkCopy));
+  document.getElementById('bulk-delete-btn').addEventListener('click', managerOnly(handleBulkDelete));
+  document.getElementById('empty-trash-btn').addEventListener('click', managerOnly(handleEmptyTrash));
+  document.getElementById('close-trash-btn').addEventListener('click', managerOnly(closeTrashModal));
+  document.getElementById('manager-add-profile-btn').addEventListener('click', managerOnly(() => openProfileModal(null)));
+  document.getElementById('confirm-export-btn').addEventListener('click', managerOnly(handleConfirmExport));
+  document.getElementById('cancel-export-btn').addEventListener('click', managerOnly(closeExportModal));
+  document.getElementById('cancel-modal-btn').addEventListener('click', managerOnly(closeQuestionModal));
+  document.getElementById('question-form').addEventListener('submit', managerOnly(handleSaveQuestion));
+  document.getElementById('add-wrong-answer-btn').addEventListener('click', managerOnly(handleAddWrongAnswer));
+  document.getElementById('question-type-select').addEventListener('change', managerOnly(e => updateQuestionTypeFields(e.target.value)));
+  document.getElementById('question-image-input').addEventListener('change', managerOnly(handleImageFileChange));
+  document.getElementById('question-audio-input').addEventListener('change', managerOnly(handleAudioFileChange));
+  document.getElementById('remove-image-btn').addEventListener('click', managerOnly(() => setEditingMedia('image', null)));
+  document.getElementById('remove-audio-btn').addEventListener('click', managerOnly(() => setEditingMedia('audio', null)));
+  document.getElementById('confirm-reset-btn').addEventListener('click', managerOnly(confirmReset));
+  document.getElementById('cancel-reset-btn').addEventListener('click', managerOnly(cancelReset));
+  document.getElementById('add-unit-btn').addEventListener('click', managerOnly(() => openUnitModal('add')));
+  document.getElementById('edit-unit-btn').addEventListener('click', managerOnly(() => openUnitModal('edit')));
+  document.getElementById('delete-unit-btn').addEventListener('click', managerOnly(handleDeleteUnitClick));
+  document.getElementById('share-unit-btn').addEventListener('click', managerOnly(openShareModal));
+  document.getElementById('unit-direction-select').addEventListener('change', managerOnly(handleUnitDirectionChange));
+  document.getElementById('copy-share-link-btn').addEventListener('click', managerOnly(handleCopyShareLink));
+  document.getElementById('close-share-btn').addEventListener('click', managerOnly(closeShareModal));
+  document.getElementById('confirm-shared-unit-btn').addEventListener('click', handleAddSharedUnit);
+  document.getElementById('cancel-shared-unit-btn').addEventListener('click', closeSharedUnitModal);
+  // A share link opened in a tab that already has the game
+  window.addEventListener('hashchange', openSharedUnitFromUrl);
+  document.getElementById('unit-form').addEventListener('submit', managerOnly(handleSaveUnit));
+  document.getElementById('cancel-unit-modal-btn').addEventListener('click', managerOnly(closeUnitModal));
+  document.getElementById('confirm-delete-unit-btn').addEventListener('click', managerOnly(confirmDeleteUnit));
+  document.getElementById('cancel-delete-unit-btn').addEventListener('click', managerOnly(cancelDeleteUnit));
   
   // Global keyboard shortcuts
   document.addEventListener('keydown', handleKeyPress);
 }
 
+function handleSmartReviewChange(e) {
+  localStorage.setItem(profileKey('smart-review'), e.target.checked);
+}
+
+function handleOptionCountChange(e) {
+  localStorage.setItem(profileKey('option-count'), e.target.value);
+}
+
+// Save the hold-to-answer time and apply it to head tracking
+function handleDwellChange(e) {
+  localStorage.setItem(profileKey('dwell-ms'), e.target.value);
+  setDwellTime(e.target.value);
+}
+
+// Save the tilt smoothing strength and apply it to head tracking
+function handleSmoothingChange(e) {
+  localStorage.setItem(profileKey('smoothing-strength'), e.target.value);
+  setSmoothing(e.target.value);
+}
+
+// Save the versus mode choice
+function handleVersusChange(e) {
+  localStorage.setItem('versus-mode', e.target.checked);
+  updateVersusHint();
+}
+
+// Explain where each player sits on the instructions screen
+function updateVersusHint() {
+  const isVersus = document.getElementById('versus-toggle').checked;
+  document.getElementById('versus-hint').classList.toggle('hidden', !isVersus);
+  // Track both faces in the instructions preview too
+  setPlayerCount(isVersus ? 2 : 1);
+}
+
 // Handle keyboard shortcuts
 function handleKeyPress(e) {
+  // Enter in a dialog submits the dialog, e.g. the PIN, not the screen behind it
+  if (e.target.closest && e.target.closest('.modal')) return;
   // Enter key on welcome screen
   if (state.currentScreen === 'welcome' && e.key === 'Enter') {
     e.preventDefault();
     handleStartGame();
   }
   // Enter key on instructions screen
-  if (state.currentScreen === 'instructions' && e.key === 'Enter') {
+  if (state.currentScreen === 'instructions' && e.key === 'Enter' && !state.isCalibrating) {
     e.preventDefault();
     startGame();
   }
@@ -125,22 +414,57 @@ function handleKeyPress(e) {
 
 // Screen management
 function showScreen(screenName) {
+  if (screenName === 'manager' && !state.isAuthenticated) return;
+  // Leaving the manager locks it again
+  if (screenName !== 'manager' && state.isAuthenticated) {
+    endManagerSession();
+  }
+  
   Object.keys(screens).forEach(name => {
     screens[name].classList.remove('active');
   });
   screens[screenName].classList.add('active');
   state.currentScreen = screenName;
   
+  if (screenName === 'permission' || screenName === 'instructions') {
+    renderCameraSettings();
+  }
+  
   if (screenName === 'manager') {
     refreshUnitSelectors();
     renderQuestionsList();
+    renderInputSettings();
+    renderSpeechSettings();
+    renderProfileManager();
   }
 }
 
+// Whether keyboard, touch or gamepad can be used instead of head tilt
+function hasAlternativeInputs(inputs = loadInputSettings()) {
+  return inputs.keyboard || inputs.touch || inputs.gamepad;
+}
+
+// Show the instructions, hiding the camera preview when playing without head tracking
+function showInstructions() {
+  const instructions = screens.instructions;
+  instructions.classList.toggle('no-camera', !state.useHeadTracking);
+  const inputHint = describeInputs();
+  document.getElementById('input-hint').textContent = inputHint ? `You can also answer with: ${inputHint}` : '';
+  showScreen('instructions');
+}
+
 // Handle start game button
 async function handleStartGame() {
-  if (!isCameraAvailable()) {
-    alert('Camera is not available on this device. Please use a device with a camera.');
+  const inputs = loadInputSettings();
+  state.useHeadTracking = inputs.head && isCameraAvailable();
+
+  if (!state.useHeadTracking) {
+    if (!hasAlternativeInputs(inputs)) {
+      alert('Camera is not available on this device. Please use a device with a camera or turn on another input in the manager.');
+      return;
+    }
+    // Play with keyboard, touch or gamepad only
+    showInstructions();
     return;
   }
 
@@ -155,7 +479,7 @@ async function handleStartGame() {
       // We need to pass elements because we're skipping the normal flow
       const previewVideo = document.getElementById('preview-video');
       await initFaceTracking(previewVideo, null);
-      showScreen('instructions');
+      showInstructions();
       return;
     }
   } catch (e) {
@@ -177,7 +501,11 @@ async function handleAllowCamera() {
   
   if (hasPermission) {
     await initializeCamera();
-    showScreen('instructions');
+    showInstructions();
+  } else if (hasAlternativeInputs()) {
+    alert('Camera permission was denied. You can still play with the other inputs.');
+    state.useHeadTracking = false;
+    showInstructions();
   } else {
     alert('Camera permission was denied. Please allow camera access to play the game.');
   }
@@ -201,8 +529,129 @@ async function initializeCamera() {
   }
 }
 
+// ===== Camera Settings =====
+
+// Fill the camera pickers on the permission and instructions screens
+async function renderCameraSettings() {
+  const settings = loadCameraSettings();
+  let cameras = [];
+  try {
+    cameras = await listCameras();
+  } catch (error) {
+    console.warn('Could not list cameras:', error);
+  }
+  const hasSavedCamera = cameras.some(c => c.deviceId === settings.deviceId);
+
+  // Device labels come from the browser and drivers, so they are set as text
+  const deviceOptions = () => [
+    new Option('Default camera', ''),
+    ...cameras
+      .filter(c => c.deviceId)
+      .map(c => new Option(c.label, c.deviceId))
+  ];
+  const resolutionOptions = Object.entries(RESOLUTIONS)
+    .map(([value, label]) => `<option value="${value}">${label}</option>`)
+    .join('');
+
+  document.querySelectorAll('.camera-device-select').forEach(select => {
+    select.replaceChildren(...deviceOptions());
+    select.value = hasSavedCamera ? settings.deviceId : '';
+  });
+  document.querySelectorAll('.camera-resolution-select').forEach(select => {
+    select.innerHTML = resolutionOptions;
+    select.value = settings.resolution;
+  });
+  document.querySelectorAll('.camera-mirror-toggle').forEach(toggle => {
+    toggle.checked = settings.mirror !== false;
+  });
+}
+
+// Remember the camera choice and restart the preview with it
+async function handleCameraSettingChange(e) {
+  const container = e.target.closest('.camera-settings');
+  const settings = {
+    deviceId: container.querySelector('.camera-device-select').value || null,
+    resolution: container.querySelector('.camera-resolution-select').value,
+    mirror: container.querySelector('.camera-mirror-toggle').checked
+  };
+  saveCameraSettings(settings);
+  applyCameraSettings(settings);
+  await renderCameraSettings();
+
+  if (state.currentScreen === 'instructions' && state.useHeadTracking) {
+    await initializeCamera();
+  }
+}
+
+// ===== Tilt Calibration =====
+
+// Show which tilt settings are in use on the instructions screen
+function updateCalibrationStatus(calibration) {
+  const status = document.getElementById('calibration-status');
+  if (!status) return;
+  status.textContent = calibration
+    ? `🎯 Calibrated: resting angle ${calibration.neutralAngle.toFixed(0)}°, tilt ${calibration.threshold}° to answer`
+    : 'Using default tilt settings';
+}
+
+// Run the calibration wizard using the instructions screen preview
+async function handleCalibrate() {
+  if (state.isCalibrating) return;
+  state.isCalibrating = true;
+
+  const prompt = document.getElementById('calibration-prompt');
+  const stepText = document.getElementById('calibration-step-text');
+  const progressBar = document.getElementById('calibration-progress-bar');
+  const calibrateBtn = document.getElementById('calibrate-btn');
+  const readyBtn = document.getElementById('ready-btn');
+
+  calibrateBtn.disabled = true;
+  readyBtn.disabled = true;
+  prompt.classList.remove('hidden');
+
+  try {
+    const calibration = await runCalibration({
+      onStep: (step) => {
+        stepText.textContent = step.prompt;
+        progressBar.style.width = '0%';
+      },
+      onProgress: (progress) => {
+        progressBar.style.width = `${Math.round(progress * 100)}%`;
+      }
+    });
+    updateCalibrationStatus(calibration);
+  } catch (error) {
+    console.warn('Calibration failed:', error);
+    document.getElementById('calibration-status').textContent = `⚠️ ${error.message}`;
+  } finally {
+    prompt.classList.add('hidden');
+    calibrateBtn.disabled = false;
+    readyBtn.disabled = false;
+    state.isCalibrating = false;
+  }
+}
+
+function handleResetCalibration() {
+  if (state.isCalibrating) return;
+  clearCalibration();
+  updateCalibrationStatus(null);
+}
+
+// Start or stop recording landmarks, saving the session as JSON
+function handleRecordClick() {
+  const btn = document.getElementById('record-btn');
+  if (isRecording()) {
+    downloadRecording(stopRecording());
+    btn.textContent = '⏺️ Record Landmarks';
+    return;
+  }
+  startRecording(document.getElementById('recording-label').value.trim());
+  btn.textContent = '⏹️ Stop & Save';
+}
+
 // Start the actual game
 async function startGame() {
+  if (state.isCalibrating) return;
   const shouldShuffle = document.getElementById('shuffle-toggle').checked;
   const limitInput = document.getElementById('question-limit');
   const limit = limitInput.value ? parseInt(limitInput.value) : null;
@@ -215,52 +664,76 @@ async function startGame() {
   
   // Save the limit value to localStorage
   if (limitInput.value) {
-    localStorage.setItem('question-limit', limitInput.value);
+    localStorage.setItem(profileKey('question-limit'), limitInput.value);
   } else {
-    localStorage.removeItem('question-limit');
+    localStorage.removeItem(profileKey('question-limit'));
   }
+  const timeLimit = document.getElementById('time-limit-select').value;
+  localStorage.setItem(profileKey('time-limit'), timeLimit);
   
-  state.questions = getGameQuestions(shouldShuffle, limit, selectedUnitIds).map(prepareQuestion);
+  const optionCount = parseInt(document.getElementById('option-count-select').value);
+  const smartReview = document.getElementById('smart-review-toggle').checked;
+  state.questions = getGameQuestions(shouldShuffle, limit, selectedUnitIds, smartReview)
+    .map(question => prepareQuestion(question, optionCount));
   if (state.questions.length === 0) {
     alert('These units have no active questions. Please choose another unit or add questions.');
     return;
   }
   state.currentQuestionIndex = 0;
   state.score = 0;
+  state.points = 0;
+  state.responses = [];
+  state.timeLimitMs = parseInt(timeLimit) * 1000;
   state.isAnswering = false;
+  state.isVersus = document.getElementById('versus-toggle').checked;
+  state.players = state.isVersus ? [{ score: 0, answer: null }, { score: 0, answer: null }] : [];
   
+  document.querySelector('.score-display').classList.toggle('hidden', state.isVersus);
+  document.getElementById('versus-scores').classList.toggle('hidden', !state.isVersus);
+  document.getElementById('countdown').classList.toggle('hidden', !state.timeLimitMs);
+  document.querySelector('.score-display .score-label').textContent = state.timeLimitMs ? 'Points:' : 'Score:';
   updateScoreDisplay();
+  screens.game.classList.toggle('no-camera', !state.useHeadTracking);
   showScreen('game');
   
-  // Setup game video
-  const gameVideo = document.getElementById('game-video');
-  const faceCanvas = document.getElementById('face-canvas');
-  
-  try {
-    // Set canvas dimensions
-    faceCanvas.width = 640;
-    faceCanvas.height = 480;
-    
-    console.log('Initializing face tracking for game...');
-    
-    // initFaceTracking will handle the camera internally via MediaPipe Camera
-    await initFaceTracking(gameVideo, faceCanvas);
-    
-    // Small delay to ensure everything is ready
-    await new Promise(r => setTimeout(r, 300));
+  if (state.useHeadTracking) {
+    // Setup game video
+    const gameVideo = document.getElementById('game-video');
+    const faceCanvas = document.getElementById('face-canvas');
     
-    // Set up tilt callback
-    console.log('Setting tilt callback...');
-    setTiltCallback(handleTiltSelection);
-    
-    // Show first question
-    showQuestion();
-    console.log('Game started, waiting for head tilts...');
-    
-  } catch (error) {
-    console.error('Failed to start game:', error);
-    alert('Failed to start camera. Please refresh and try again.');
+    try {
+      // Match the canvas to the camera resolution
+      const { width, height } = getCameraOptions();
+      faceCanvas.width = width;
+      faceCanvas.height = height;
+      
+      // Versus mode tracks one face per player
+      setPlayerCount(state.isVersus ? 2 : 1);
+      
+      // initFaceTracking will handle the camera internally via MediaPipe Camera
+      await initFaceTracking(gameVideo, faceCanvas);
+      
+      // Small delay to ensure everything is ready
+      await new Promise(r => setTimeout(r, 300));
+      
+      // Set up tilt callback
+      setTiltCallback(handleTiltSelection);
+      setStatusCallback(handleTrackingStatus);
+    } catch (error) {
+      console.error('Failed to start game:', error);
+      alert('Failed to start camera. Please refresh and try again.');
+      return;
+    }
   }
+  
+  // Keyboard, touch and gamepad answer through the same handler as head tilts
+  startInput(handleTiltSelection, {
+    methods: loadInputSettings(),
+    playerCount: state.isVersus ? 2 : 1
+  });
+  
+  // Show first question
+  showQuestion();
 }
 
 // Show current question
@@ -272,34 +745,171 @@ function showQuestion() {
   
   const question = state.questions[state.currentQuestionIndex];
   
-  document.getElementById('question-text').textContent = question.text;
-  document.getElementById('answer-left').querySelector('.answer-text').textContent = question.leftAnswer;
-  document.getElementById('answer-right').querySelector('.answer-text').textContent = question.rightAnswer;
+  renderQuestionText(document.getElementById('question-text'), question);
+  const questionImage = document.getElementById('question-image');
+  questionImage.src = question.image || '';
+  questionImage.classList.toggle('hidden', !question.image);
+  document.getElementById('replay-prompt-btn').classList.toggle('hidden',
+    !question.audio && !(isSpeechAvailable() && loadSpeechSettings().readPrompt));
+  readPromptAloud(question);
   document.getElementById('current-question').textContent = state.currentQuestionIndex + 1;
   document.getElementById('total-questions').textContent = state.questions.length;
   
-  // Reset answer card styles
-  document.getElementById('answer-left').className = 'answer-card answer-left';
-  document.getElementById('answer-right').className = 'answer-card answer-right';
+  // Fill the answer cards and reset their styles; nod/shake cards only show when used
+  ANSWER_ZONES.forEach(zone => {
+    const card = getAnswerCard(zone);
+    const answer = question.answers[zone];
+    card.querySelector('.answer-text').textContent = answer || '';
+    card.className = `answer-card answer-${zone}${answer === undefined ? ' hidden' : ''}`;
+  });
+  document.querySelectorAll('.player-picks').forEach(picks => {
+    picks.innerHTML = '';
+  });
+  state.players.forEach(player => {
+    player.answer = null;
+    player.answerMs = 0;
+  });
   
   state.isAnswering = true;
+  startQuestionTimer();
 }
 
-// Handle head tilt selection
-function handleTiltSelection(direction) {
+// ===== Question Timer =====
+
+// Time each answer; in timed mode also run the countdown and end the question at zero
+function startQuestionTimer() {
+  stopQuestionTimer();
+  state.questionElapsedMs = 0;
+  let lastTick = Date.now();
+  state.questionTimer = setInterval(() => {
+    const now = Date.now();
+    // Time away from the camera doesn't count against the player
+    if (!state.isPaused) {
+      state.questionElapsedMs += now - lastTick;
+    }
+    lastTick = now;
+    updateCountdown();
+    if (state.timeLimitMs && state.questionElapsedMs >= state.timeLimitMs) {
+      handleTimeUp();
+    }
+  }, QUESTION_TICK_MS);
+  updateCountdown();
+}
+
+// Stop the timer; returns how long the question was on screen, in milliseconds
+function stopQuestionTimer() {
+  clearInterval(state.questionTimer);
+  state.questionTimer = null;
+  return state.questionElapsedMs;
+}
+
+function updateCountdown() {
+  if (!state.timeLimitMs) return;
+  const remaining = Math.max(0, state.timeLimitMs - state.questionElapsedMs);
+  document.getElementById('countdown-value').textContent = Math.ceil(remaining / 1000);
+  document.getElementById('countdown-fill').style.width = `${(remaining / state.timeLimitMs) * 100}%`;
+  document.getElementById('countdown').classList.toggle('warning', remaining <= COUNTDOWN_WARNING_MS);
+}
+
+// Extra points for a fast correct answer, in proportion to the time left
+function getSpeedBonus(responseMs) {
+  if (!state.timeLimitMs) return 0;
+  return Math.round(MAX_SPEED_BONUS * Math.max(0, 1 - responseMs / state.timeLimitMs));
+}
+
+// Running out of time counts as a wrong answer and shows the right one
+function handleTimeUp() {
   if (!state.isAnswering || state.currentScreen !== 'game') return;
+  if (state.isVersus) {
+    revealVersusAnswers();
+    return;
+  }
+  
+  state.isAnswering = false;
+  const responseMs = stopQuestionTimer();
+  const question = state.questions[state.currentQuestionIndex];
+  recordAnswer(question.id, false);
+  state.responses.push({ text: question.text, correct: false, timedOut: true, ms: responseMs });
+  
+  getAnswerCard(question.correctSide).classList.add('correct');
+  readAnswerAloud(question);
+  showTimeUpFeedback(question.correct, () => {
+    state.currentQuestionIndex++;
+    showQuestion();
+  });
+}
+
+// Show the prompt; a fill-in-the-blank sentence gets a visible gap where ___ is
+function renderQuestionText(element, question) {
+  element.textContent = '';
+  if (question.type !== 'blank') {
+    element.textContent = question.text;
+    return;
+  }
+  question.text.split(BLANK_PATTERN).forEach((part, index) => {
+    if (index > 0) {
+      const gap = document.createElement('span');
+      gap.className = 'blank-gap';
+      gap.textContent = '?';
+      element.appendChild(gap);
+    }
+    element.appendChild(document.createTextNode(part));
+  });
+}
+
+// Play the question's audio clip, or read the prompt aloud when that is turned on
+function readPromptAloud(question) {
+  if (!question) return;
+  if (state.promptAudio) {
+    state.promptAudio.pause();
+    state.promptAudio = null;
+  }
+  if (question.audio) {
+    state.promptAudio = new Audio(question.audio);
+    state.promptAudio.play().catch(error => console.warn('Could not play question audio:', error));
+    return;
+  }
+  const settings = loadSpeechSettings();
+  if (settings.readPrompt) {
+    // Say "blank" for the gap rather than reading out underscores
+    speakPrompt(question.type === 'blank' ? question.text.replace(new RegExp(BLANK_PATTERN, 'g'), 'blank') : question.text, settings);
+  }
+}
+
+// Say the correct answer along with the "Correct!" feedback
+function readAnswerAloud(question) {
+  const settings = loadSpeechSettings();
+  if (settings.readAnswer) {
+    speakAnswer(question.correct, settings);
+  }
+}
+
+function getAnswerCard(side) {
+  return document.getElementById(`answer-${side}`);
+}
+
+// Handle head tilt selection
+function handleTiltSelection(direction, playerIndex = 0) {
+  if (!state.isAnswering || state.isPaused || state.currentScreen !== 'game') return;
+  // Nod and shake only answer when the question has an answer in that zone
+  const currentQuestion = state.questions[state.currentQuestionIndex];
+  if (!currentQuestion || currentQuestion.answers[direction] === undefined) return;
+  
+  if (state.isVersus) {
+    handleVersusSelection(direction, playerIndex);
+    return;
+  }
   
   state.isAnswering = false;
+  const responseMs = stopQuestionTimer();
   
   const question = state.questions[state.currentQuestionIndex];
-  const selectedCard = direction === 'left' 
-    ? document.getElementById('answer-left')
-    : document.getElementById('answer-right');
-  const correctCard = question.correctSide === 'left'
-    ? document.getElementById('answer-left')
-    : document.getElementById('answer-right');
+  const selectedCard = getAnswerCard(direction);
+  const correctCard = getAnswerCard(question.correctSide);
   
   const isCorrect = direction === question.correctSide;
+  recordAnswer(question.id, isCorrect);
+  state.responses.push({ text: question.text, correct: isCorrect, timedOut: false, ms: responseMs });
   
   // Highlight selected answer
   selectedCard.classList.add('highlight');
@@ -307,8 +917,10 @@ function handleTiltSelection(direction) {
   setTimeout(() => {
     if (isCorrect) {
       state.score++;
+      state.points += POINTS_PER_CORRECT + getSpeedBonus(responseMs);
       updateScoreDisplay();
       correctCard.classList.add('correct');
+      readAnswerAloud(question);
       showCorrectFeedback(() => {
         state.currentQuestionIndex++;
         showQuestion();
@@ -324,21 +936,168 @@ function handleTiltSelection(direction) {
   }, 300);
 }
 
+// ===== Tracking Health =====
+
+// Pause when the player leaves the camera and warn about poor conditions
+function handleTrackingStatus(report) {
+  if (state.currentScreen !== 'game') return;
+  
+  if (report.status === 'lost') {
+    pauseGame();
+  } else if (report.status === 'stable') {
+    resumeGame();
+  }
+  
+  const warnings = [];
+  if (report.cameraError) {
+    warnings.push('📷 The camera stopped - check that no other app is using it');
+  }
+  if (report.lowLight) {
+    warnings.push('💡 It\'s a bit dark - try turning on a light');
+  }
+  if (report.lowFps) {
+    warnings.push('🐢 The camera is slow - try closing other apps or tabs');
+  }
+  const warning = document.getElementById('tracking-warning');
+  warning.textContent = warnings.join(' · ');
+  warning.classList.toggle('hidden', warnings.length === 0);
+}
+
+function pauseGame() {
+  if (state.isPaused) return;
+  state.isPaused = true;
+  if (state.versusTimer) {
+    const timeLeft = Math.max(1, state.versusTimerEndsAt - Date.now());
+    clearVersusTimer();
+    state.versusTimeLeft = timeLeft;
+  }
+  document.getElementById('tracking-title').textContent = state.isVersus
+    ? 'Both players, come back to the camera!'
+    : 'Come back to the camera!';
+  document.getElementById('tracking-overlay').classList.remove('hidden');
+}
+
+function resumeGame() {
+  if (!state.isPaused) return;
+  state.isPaused = false;
+  if (state.versusTimeLeft > 0) {
+    startVersusTimer(state.versusTimeLeft);
+  }
+  document.getElementById('tracking-overlay').classList.add('hidden');
+}
+
+// Record a player's answer; reveal once both have answered or time runs out
+function handleVersusSelection(direction, playerIndex) {
+  const player = state.players[playerIndex];
+  if (!player || player.answer) return;
+  
+  player.answer = direction;
+  player.answerMs = state.questionElapsedMs;
+  const pick = document.createElement('span');
+  pick.className = `player-pick p${playerIndex + 1}`;
+  pick.textContent = `P${playerIndex + 1}`;
+  getAnswerCard(direction).querySelector('.player-picks').appendChild(pick);
+  
+  if (state.players.every(p => p.answer)) {
+    revealVersusAnswers();
+  } else if (!state.versusTimer) {
+    startVersusTimer(VERSUS_ANSWER_WINDOW_MS);
+  }
+}
+
+// The other player's answer window; it stops while the game is paused
+function startVersusTimer(ms) {
+  state.versusTimer = setTimeout(revealVersusAnswers, ms);
+  state.versusTimerEndsAt = Date.now() + ms;
+  state.versusTimeLeft = 0;
+}
+
+function clearVersusTimer() {
+  clearTimeout(state.versusTimer);
+  state.versusTimer = null;
+  state.versusTimeLeft = 0;
+}
+
+// Score both players and show the correct answer
+function revealVersusAnswers() {
+  clearVersusTimer();
+  if (!state.isAnswering || state.currentScreen !== 'game') return;
+  
+  state.isAnswering = false;
+  const responseMs = stopQuestionTimer();
+  
+  const question = state.questions[state.currentQuestionIndex];
+  let anyCorrect = false;
+  // A player who didn't answer is timed until the round ended
+  state.responses.push({
+    text: question.text,
+    players: state.players.map(player => ({
+      correct: player.answer === question.correctSide,
+      answered: !!player.answer,
+      ms: player.answer ? player.answerMs : responseMs
+    }))
+  });
+  
+  state.players.forEach(player => {
+    if (player.answer === question.correctSide) {
+      player.score++;
+      anyCorrect = true;
+    } else if (player.answer) {
+      getAnswerCard(player.answer).classList.add('wrong');
+    }
+  });
+  getAnswerCard(question.correctSide).classList.add('correct');
+  updateScoreDisplay();
+  
+  const next = () => {
+    state.currentQuestionIndex++;
+    showQuestion();
+  };
+  setTimeout(() => {
+    if (anyCorrect) {
+      readAnswerAloud(question);
+      showCorrectFeedback(next);
+    } else {
+      showWrongFeedback(next);
+    }
+  }, 300);
+}
+
 // Update score display
 function updateScoreDisplay() {
-  document.getElementById('score').textContent = state.score;
+  document.getElementById('score').textContent = state.timeLimitMs ? state.points : state.score;
+  if (state.isVersus) {
+    document.getElementById('score-p1').textContent = state.players[0].score;
+    document.getElementById('score-p2').textContent = state.players[1].score;
+  }
 }
 
 // End the game
 // End the game
 function endGame() {
+  stopSpeaking();
+  if (state.promptAudio) {
+    state.promptAudio.pause();
+    state.promptAudio = null;
+  }
   clearTiltCallback();
   stopTracking();
+  stopInput();
+  clearVersusTimer();
+  stopQuestionTimer();
+  resumeGame();
+  document.getElementById('tracking-warning').classList.add('hidden');
   
   // If manual end, currentQuestionIndex is the number of questions answered
   // If natural end, currentQuestionIndex equals questions.length
   const totalAnswered = state.currentQuestionIndex;
   
+  renderResponseTimes();
+  if (state.isVersus) {
+    showVersusResults(totalAnswered);
+    return;
+  }
+  
   // Avoid division by zero
   const percentage = totalAnswered > 0 ? (state.score / totalAnswered) * 100 : 0;
   
@@ -361,6 +1120,16 @@ function endGame() {
     message = 'Practice makes perfect!';
   }
   
+  recordSession({
+    score: state.score,
+    total: totalAnswered,
+    units: getUnits().filter(u => getSelectedUnitIds().includes(u.id)).map(u => u.name),
+    smartReview: document.getElementById('smart-review-toggle').checked,
+    timeLimit: state.timeLimitMs / 1000,
+    ...(state.timeLimitMs ? { points: state.points } : {}),
+    ...(state.responses.length ? { averageMs: getAverageResponseMs() } : {})
+  });
+  
   document.getElementById('results-title').textContent = title;
   document.getElementById('final-score').textContent = state.score;
   document.querySelector('.score-max').textContent = `/ ${totalAnswered}`;
@@ -372,6 +1141,102 @@ function endGame() {
   }
 }
 
+function formatSeconds(ms) {
+  return `${(ms / 1000).toFixed(1)} s`;
+}
+
+function getAverageResponseMs(responses = state.responses) {
+  return Math.round(responses.reduce((sum, response) => sum + response.ms, 0) / responses.length);
+}
+
+// Average and fastest of one player's answers; times of unanswered questions count
+// towards the average but can't be the fastest
+function summarizeTimes(responses, answered) {
+  const summary = [`⏱️ Average ${formatSeconds(getAverageResponseMs(responses))}`];
+  if (answered.length > 0) {
+    summary.push(`🚀 Fastest ${formatSeconds(Math.min(...answered.map(response => response.ms)))}`);
+  }
+  return summary.join(' · ');
+}
+
+function createResponseItem(className, label, timeText) {
+  const item = document.createElement('li');
+  item.className = className;
+  const text = document.createElement('span');
+  text.className = 'response-text';
+  text.textContent = label;
+  const time = document.createElement('span');
+  time.className = 'response-time';
+  time.textContent = timeText;
+  item.append(text, time);
+  return item;
+}
+
+// Points and how long each answer took, for the results screen; versus games
+// show both players' times side by side
+function renderResponseTimes() {
+  const container = document.getElementById('response-times');
+  container.classList.toggle('hidden', state.responses.length === 0);
+  if (state.responses.length === 0) return;
+  
+  const list = document.getElementById('response-list');
+  list.innerHTML = '';
+  
+  if (state.isVersus) {
+    document.getElementById('response-summary').textContent = state.players.map((_, index) => {
+      const times = state.responses.map(response => response.players[index]);
+      return `P${index + 1}: ${summarizeTimes(times, times.filter(time => time.answered))}`;
+    }).join('  |  ');
+    state.responses.forEach(response => {
+      const times = response.players.map((time, index) =>
+        `P${index + 1} ${time.answered ? `${time.correct ? '✅' : '❌'} ${formatSeconds(time.ms)}` : '—'}`);
+      list.appendChild(createResponseItem('versus', response.text, times.join(' · ')));
+    });
+    return;
+  }
+  
+  const summary = summarizeTimes(state.responses, state.responses.filter(response => !response.timedOut));
+  document.getElementById('response-summary').textContent = state.timeLimitMs
+    ? `⚡ ${state.points} points · ${summary}`
+    : summary;
+  state.responses.forEach(response => {
+    list.appendChild(createResponseItem(
+      response.timedOut ? 'timed-out' : (response.correct ? 'correct' : 'wrong'),
+      `${response.correct ? '✅' : '❌'} ${response.text}`,
+      response.timedOut ? '⏰ Time\'s up' : formatSeconds(response.ms)
+    ));
+  });
+}
+
+// Show both scores and the winner of a versus game
+function showVersusResults(totalAnswered) {
+  const [p1, p2] = state.players;
+  let title, message;
+  
+  if (totalAnswered === 0) {
+    title = 'Game Over';
+    message = 'Nobody answered any questions!';
+  } else if (p1.score === p2.score) {
+    title = 'It\'s a Tie! 🤝';
+    message = 'You are both vocabulary champions!';
+  } else {
+    const winner = p1.score > p2.score ? 1 : 2;
+    title = `Player ${winner} Wins! 🏆`;
+    message = `Well played, Player ${winner === 1 ? 2 : 1} - try again for a rematch!`;
+  }
+  
+  document.getElementById('results-title').textContent = title;
+  document.getElementById('final-score').textContent = `${p1.score} : ${p2.score}`;
+  document.querySelector('.score-max').textContent = `P1 vs P2 (of ${totalAnswered})`;
+  document.getElementById('results-message').textContent = message;
+  
+  showScreen('results');
+  const bestScore = Math.max(p1.score, p2.score);
+  if (bestScore > 0) {
+    celebrateScore(bestScore, totalAnswered);
+  }
+}
+
 // Handle play again
 async function handlePlayAgain() {
   window.location.reload();
@@ -383,21 +1248,64 @@ async function handlePlayAgain() {
 function renderQuestionsList() {
   const list = document.getElementById('questions-list');
   const activeUnitId = getActiveManagerUnitId();
-  const questions = getQuestions(activeUnitId);
+  const query = document.getElementById('question-search').value;
+  const searchAllUnits = document.getElementById('search-all-units').checked && query.trim() !== '';
+  const questions = searchQuestions(query, {
+    unitId: searchAllUnits ? null : activeUnitId,
+    status: document.getElementById('question-status-filter').value
+  });
+  const unitNames = new Map(getUnits().map(u => [u.id, u.name]));
+  const rowIssues = issuesByQuestion(checkBank(getQuestions(), getUnits()));
+  updateTrashButton();
+  
+  // Only questions still on screen stay selected
+  const visibleIds = new Set(questions.map(q => q.id));
+  state.selectedQuestionIds = new Set([...state.selectedQuestionIds].filter(id => visibleIds.has(id)));
+  updateBulkActions(questions.length);
   
   if (questions.length === 0) {
-    list.innerHTML = '<p style="text-align: center; color: #888;">No questions yet. Add some!</p>';
+    const isFiltered = query.trim() !== '' || document.getElementById('question-status-filter').value !== 'all';
+    list.innerHTML = `<p style="text-align: center; color: #888;">${isFiltered ? 'No questions match your search.' : 'No questions yet. Add some!'}</p>`;
     return;
   }
   
+  const typeTag = q => {
+    const labels = { spelling: '🔤 Spelling', blank: '✍️ Fill in the blank' };
+    return labels[q.type] ? `<span class="type-tag">${labels[q.type]}</span>` : '';
+  };
+  const reviewTag = q => {
+    const entry = getReviewEntry(q.id);
+    return entry
+      ? `<span class="review-tag" title="Review box ${entry.box}">📦 ${entry.box} · ✓${entry.correct} ✗${entry.wrong}</span>`
+      : '';
+  };
+  const issueClass = q => {
+    const issues = rowIssues.get(q.id);
+    if (!issues) return '';
+    return hasErrors(issues) ? 'has-error' : 'has-warning';
+  };
+  const issueTag = q => {
+    const issues = rowIssues.get(q.id);
+    return issues
+      ? `<span class="issue-tag" title="${escapeHtml(issues.map(issue => issue.message).join('\n'))}">⚠️ ${issues.length}</span>`
+      : '';
+  };
+  
   list.innerHTML = questions.map((q, index) => `
-    <div class="question-item ${q.disabled ? 'disabled' : ''}" data-id="${q.id}">
+    <div class="question-item ${q.disabled ? 'disabled' : ''} ${issueClass(q)}" data-id="${q.id}">
+      <input type="checkbox" class="question-select" value="${q.id}" ${state.selectedQuestionIds.has(q.id) ? 'checked' : ''}>
       <div class="question-index">${index + 1}</div>
       <div class="question-info">
-        <h4>${q.question}</h4>
+        <h4>${escapeHtml(q.question || q.correct)}</h4>
+        ${searchAllUnits ? `<span class="category-tag">📚 ${escapeHtml(unitNames.get(q.unitId))}</span>` : ''}
         <div class="question-answers">
-          <span class="answer-tag correct">✓ ${q.correct}</span>
-          <span class="answer-tag wrong">✗ ${q.wrong}</span>
+          <span class="answer-tag correct">✓ ${escapeHtml(q.correct)}</span>
+          ${q.wrong.map(wrong => `<span class="answer-tag wrong">✗ ${escapeHtml(wrong)}</span>`).join('')}
+          ${q.image ? '<span class="media-tag" title="Has a picture">🖼️</span>' : ''}
+          ${q.audio ? '<span class="media-tag" title="Has an audio clip">🎵</span>' : ''}
+          ${typeTag(q)}
+          ${reviewTag(q)}
+          ${issueTag(q)}
         </div>
       </div>
       <div class="question-actions">
@@ -409,23 +1317,116 @@ function renderQuestionsList() {
       </div>
     </div>
   `).join('');
+  
+  list.querySelectorAll('.question-select').forEach(cb => {
+    cb.addEventListener('change', managerOnly(handleQuestionSelect));
+  });
 }
 
-// Handle add question
-function handleAddQuestion() {
-  state.editingQuestionId = null;
-  document.getElementById('modal-title').textContent = 'Add Question';
-  document.getElementById('question-form').reset();
-  const unitSelect = document.getElementById('question-unit-select');
-  const activeUnitId = getActiveManagerUnitId();
-  if (unitSelect && activeUnitId) {
-    unitSelect.value = activeUnitId;
+// ===== Bulk Actions =====
+
+function handleQuestionSelect(e) {
+  if (e.target.checked) {
+    state.selectedQuestionIds.add(e.target.value);
+  } else {
+    state.selectedQuestionIds.delete(e.target.value);
   }
-  document.getElementById('question-modal').classList.remove('hidden');
+  updateBulkActions(document.querySelectorAll('#questions-list .question-select').length);
 }
 
-// Edit question (exposed globally)
-window.editQuestion = function(index) {
+function handleSelectAllQuestions(e) {
+  document.querySelectorAll('#questions-list .question-select').forEach(cb => {
+    cb.checked = e.target.checked;
+    if (e.target.checked) {
+      state.selectedQuestionIds.add(cb.value);
+    } else {
+      state.selectedQuestionIds.delete(cb.value);
+    }
+  });
+  updateBulkActions(document.querySelectorAll('#questions-list .question-select').length);
+}
+
+// Enable the bulk buttons while questions are selected
+function updateBulkActions(visibleCount) {
+  const selectedCount = state.selectedQuestionIds.size;
+  const selectAll = document.getElementById('select-all-questions');
+  selectAll.checked = selectedCount > 0 && selectedCount === visibleCount;
+  selectAll.indeterminate = selectedCount > 0 && selectedCount < visibleCount;
+  document.getElementById('selected-count').textContent = selectedCount > 0
+    ? `${selectedCount} selected`
+    : 'Select all';
+  
+  ['bulk-enable-btn', 'bulk-disable-btn', 'bulk-move-btn', 'bulk-copy-btn', 'bulk-delete-btn', 'bulk-target-unit']
+    .forEach(id => {
+      document.getElementById(id).disabled = selectedCount === 0;
+    });
+}
+
+function getSelectedQuestionIds() {
+  return [...state.selectedQuestionIds];
+}
+
+async function handleBulkDisable(disabled) {
+  const ids = getSelectedQuestionIds();
+  const previous = await setQuestionsDisabled(ids, disabled);
+  renderQuestionsList();
+  showUndoToast(`${disabled ? '🚫 Disabled' : '✅ Enabled'} ${ids.length} question(s)`, () => restoreQuestions(previous));
+}
+
+function getBulkTargetUnit() {
+  const unitId = document.getElementById('bulk-target-unit').value;
+  return getUnits().find(u => u.id === unitId);
+}
+
+async function handleBulkMove() {
+  const ids = getSelectedQuestionIds();
+  const unit = getBulkTargetUnit();
+  if (!unit) return;
+  const previous = await moveQuestions(ids, unit.id);
+  state.selectedQuestionIds.clear();
+  renderQuestionsList();
+  showUndoToast(`➡️ Moved ${ids.length} question(s) to ${unit.name}`, () => restoreQuestions(previous));
+}
+
+async function handleBulkCopy() {
+  const ids = getSelectedQuestionIds();
+  const unit = getBulkTargetUnit();
+  if (!unit) return;
+  const copyIds = await copyQuestions(ids, unit.id);
+  renderQuestionsList();
+  showUndoToast(`📋 Copied ${ids.length} question(s) to ${unit.name}`, () => removeQuestions(copyIds));
+}
+
+async function handleBulkDelete() {
+  const ids = getSelectedQuestionIds();
+  const entry = await deleteQuestions(ids);
+  state.selectedQuestionIds.clear();
+  renderQuestionsList();
+  if (entry) {
+    showUndoToast(`🗑️ Moved ${ids.length} question(s) to the trash`, () => restoreFromTrash(entry.id));
+  }
+}
+
+// Handle add question
+function handleAddQuestion() {
+  state.editingQuestionId = null;
+  document.getElementById('modal-title').textContent = 'Add Question';
+  document.getElementById('question-form').reset();
+  renderWrongAnswerInputs(['']);
+  resetEditingMedia(null);
+  document.getElementById('question-type-select').value = 'choice';
+  updateQuestionTypeFields('choice');
+  document.getElementById('question-form-error').classList.add('hidden');
+  const unitSelect = document.getElementById('question-unit-select');
+  const activeUnitId = getActiveManagerUnitId();
+  if (unitSelect && activeUnitId) {
+    unitSelect.value = activeUnitId;
+  }
+  document.getElementById('question-modal').classList.remove('hidden');
+}
+
+// Edit question (exposed globally)
+window.editQuestion = managerOnly(function(index) {
   const questions = getQuestions();
   const question = questions.find(q => q.id === index);
   if (!question) return;
@@ -434,24 +1435,156 @@ window.editQuestion = function(index) {
   document.getElementById('modal-title').textContent = 'Edit Question';
   document.getElementById('question-input').value = question.question;
   document.getElementById('correct-answer-input').value = question.correct;
-  document.getElementById('wrong-answer-input').value = question.wrong;
+  renderWrongAnswerInputs(question.wrong);
+  document.getElementById('question-type-select').value = question.type || 'choice';
+  updateQuestionTypeFields(question.type || 'choice');
+  resetEditingMedia(question);
+  document.getElementById('question-form-error').classList.add('hidden');
   document.getElementById('question-unit-select').value = question.unitId;
   
   document.getElementById('question-modal').classList.remove('hidden');
-};
+});
 
 // Delete question handler (exposed globally)
-window.deleteQuestionHandler = function(questionId) {
-  deleteQuestion(questionId);
+window.deleteQuestionHandler = managerOnly(async function(questionId) {
+  const entry = await deleteQuestion(questionId);
   renderQuestionsList();
-};
+  if (entry) {
+    showUndoToast('🗑️ Question moved to the trash', () => restoreFromTrash(entry.id));
+  }
+});
 
 // Toggle question disabled state (exposed globally)
-window.toggleQuestionHandler = function(questionId) {
-  toggleQuestion(questionId);
+window.toggleQuestionHandler = managerOnly(async function(questionId) {
+  await toggleQuestion(questionId);
   renderQuestionsList();
+  const question = getQuestions().find(q => q.id === questionId);
+  if (question) {
+    showUndoToast(question.disabled ? '🚫 Question disabled' : '✅ Question enabled', () => toggleQuestion(questionId));
+  }
+});
+
+// Labels and hints for each question type's fields in the question modal
+const QUESTION_TYPE_FIELDS = {
+  choice: {
+    question: 'Question (Vietnamese):',
+    questionPlaceholder: 'Hành động nào là bơi?',
+    correct: 'Correct Answer (English):',
+    correctPlaceholder: 'swim',
+    wrong: 'Wrong Answers (English):'
+  },
+  spelling: {
+    question: 'Hint (optional):',
+    questionPlaceholder: 'bơi',
+    correct: 'Word to Spell:',
+    correctPlaceholder: 'swim',
+    wrong: 'Misspellings (optional, made up when empty):'
+  },
+  blank: {
+    question: 'Sentence (use ___ for the gap):',
+    questionPlaceholder: 'I like to ___ in the pool.',
+    correct: 'Missing Word:',
+    correctPlaceholder: 'swim',
+    wrong: 'Wrong Words:'
+  }
 };
 
+function updateQuestionTypeFields(type) {
+  const fields = QUESTION_TYPE_FIELDS[type] || QUESTION_TYPE_FIELDS.choice;
+  const questionInput = document.getElementById('question-input');
+  document.getElementById('question-input-label').textContent = fields.question;
+  questionInput.placeholder = fields.questionPlaceholder;
+  questionInput.required = type !== 'spelling';
+  document.getElementById('correct-answer-label').textContent = fields.correct;
+  document.getElementById('correct-answer-input').placeholder = fields.correctPlaceholder;
+  document.getElementById('wrong-answers-label').textContent = fields.wrong;
+}
+
+// Show one input per wrong answer, each removable while more than one is left
+function renderWrongAnswerInputs(wrongAnswers) {
+  const list = document.getElementById('wrong-answers-list');
+  list.innerHTML = '';
+  (wrongAnswers.length > 0 ? wrongAnswers : ['']).forEach(addWrongAnswerInput);
+}
+
+function addWrongAnswerInput(value = '') {
+  const list = document.getElementById('wrong-answers-list');
+  const row = document.createElement('div');
+  row.className = 'wrong-answer-row';
+  row.innerHTML = `
+    <input type="text" class="wrong-answer-input" placeholder="run">
+    <button type="button" class="btn-remove-wrong" title="Remove">✕</button>
+  `;
+  const input = row.querySelector('input');
+  input.value = value;
+  row.querySelector('button').addEventListener('click', managerOnly(() => {
+    if (list.children.length > 1) {
+      row.remove();
+    } else {
+      input.value = '';
+    }
+  }));
+  list.appendChild(row);
+  return input;
+}
+
+function handleAddWrongAnswer() {
+  addWrongAnswerInput().focus();
+}
+
+function getWrongAnswerInputs() {
+  return Array.from(document.querySelectorAll('#wrong-answers-list .wrong-answer-input'))
+    .map(input => input.value.trim())
+    .filter(Boolean);
+}
+
+// ===== Question Pictures and Audio =====
+
+function resetEditingMedia(question) {
+  document.getElementById('question-image-input').value = '';
+  document.getElementById('question-audio-input').value = '';
+  document.getElementById('media-error').classList.add('hidden');
+  setEditingMedia('image', question ? question.image || null : null);
+  setEditingMedia('audio', question ? question.audio || null : null);
+}
+
+// Keep the picked media in state and show its preview
+function setEditingMedia(kind, dataUrl) {
+  state.editingMedia[kind] = dataUrl;
+  const preview = document.getElementById(`question-${kind}-preview`);
+  if (dataUrl) {
+    preview.src = dataUrl;
+  } else {
+    preview.removeAttribute('src');
+    document.getElementById(`question-${kind}-input`).value = '';
+  }
+  preview.classList.toggle('hidden', !dataUrl);
+  document.getElementById(`remove-${kind}-btn`).classList.toggle('hidden', !dataUrl);
+}
+
+async function handleMediaFileChange(e, kind, readFile) {
+  const file = e.target.files[0];
+  const error = document.getElementById('media-error');
+  error.classList.add('hidden');
+  if (!file) return;
+  
+  try {
+    setEditingMedia(kind, await readFile(file));
+  } catch (err) {
+    e.target.value = '';
+    error.textContent = err.message;
+    error.classList.remove('hidden');
+  }
+}
+
+function handleImageFileChange(e) {
+  handleMediaFileChange(e, 'image', readImageFile);
+}
+
+function handleAudioFileChange(e) {
+  handleMediaFileChange(e, 'audio', readAudioFile);
+}
+
 // Close question modal
 function closeQuestionModal() {
   document.getElementById('question-modal').classList.add('hidden');
@@ -459,24 +1592,227 @@ function closeQuestionModal() {
 }
 
 // Handle save question
-function handleSaveQuestion(e) {
+async function handleSaveQuestion(e) {
   e.preventDefault();
   
   const questionData = {
+    type: document.getElementById('question-type-select').value,
     question: document.getElementById('question-input').value.trim(),
     correct: document.getElementById('correct-answer-input').value.trim(),
-    wrong: document.getElementById('wrong-answer-input').value.trim(),
+    wrong: getWrongAnswerInputs(),
+    image: state.editingMedia.image,
+    audio: state.editingMedia.audio,
     unitId: document.getElementById('question-unit-select').value
   };
   
-  if (state.editingQuestionId !== null) {
-    updateQuestion(state.editingQuestionId, questionData);
-  } else {
-    addQuestion(questionData);
+  // Errors block saving; warnings such as duplicates only need a confirmation
+  const issues = validateAgainstBank({ ...questionData, id: state.editingQuestionId }, getQuestions(), getUnits());
+  const formError = document.getElementById('question-form-error');
+  if (hasErrors(issues)) {
+    formError.innerHTML = issues.filter(issue => issue.severity === 'error').map(issue => issue.message).join('<br>');
+    formError.classList.remove('hidden');
+    return;
+  }
+  formError.classList.add('hidden');
+  if (issues.length > 0 && !confirm(`${issues.map(issue => `⚠️ ${issue.message}`).join('\n')}\n\nSave anyway?`)) {
+    return;
+  }
+  
+  let previous = null;
+  try {
+    if (state.editingQuestionId !== null) {
+      previous = await updateQuestion(state.editingQuestionId, questionData);
+    } else {
+      await addQuestion(questionData);
+    }
+  } catch (error) {
+    // Pictures and audio can fill up the browser's storage
+    console.error('Failed to save question:', error);
+    alert('The question could not be saved. The device may be out of storage space - try a smaller picture or audio clip.');
+    return;
   }
   
   closeQuestionModal();
   renderQuestionsList();
+  if (previous) {
+    showUndoToast('✏️ Question updated', () => restoreQuestions([previous]));
+  }
+}
+
+// Offer to undo a manager change, refreshing the lists once it is undone
+function showUndoToast(message, undo) {
+  showToast(message, {
+    actionLabel: 'Undo',
+    // The toast can outlive the manager session, so undoing needs the PIN like any other edit
+    onAction: managerOnly(async () => {
+      await undo();
+      refreshUnitSelectors();
+      renderQuestionsList();
+    })
+  });
+}
+
+// ===== Trash =====
+
+function openTrashModal() {
+  renderTrashList();
+  document.getElementById('trash-modal').classList.remove('hidden');
+}
+
+function closeTrashModal() {
+  document.getElementById('trash-modal').classList.add('hidden');
+}
+
+function renderTrashList() {
+  const trash = getTrash();
+  const list = document.getElementById('trash-list');
+  document.getElementById('empty-trash-btn').disabled = trash.length === 0;
+  if (trash.length === 0) {
+    list.innerHTML = '<p class="trash-empty">The trash is empty.</p>';
+    return;
+  }
+  
+  list.innerHTML = trash.map(entry => {
+    let title;
+    if (entry.type === 'unit') {
+      title = `📚 ${escapeHtml(entry.unit.name)} <span class="trash-detail">(${entry.questions.length} question(s))</span>`;
+    } else if (entry.questions.length > 1) {
+      title = `❓ ${entry.questions.length} questions <span class="trash-detail">(${escapeHtml(entry.questions.map(q => q.question).slice(0, 3).join(', '))}${entry.questions.length > 3 ? ', …' : ''})</span>`;
+    } else {
+      title = `❓ ${escapeHtml(entry.questions[0].question)} <span class="trash-detail">✓ ${escapeHtml(entry.questions[0].correct)}</span>`;
+    }
+    return `
+      <div class="trash-item">
+        <div class="trash-info">
+          <div class="trash-title">${title}</div>
+          <div class="trash-date">Deleted ${new Date(entry.deletedAt).toLocaleString()}</div>
+        </div>
+        <div class="question-actions">
+          <button class="btn-edit" data-action="restore" data-id="${entry.id}" title="Restore">↩️</button>
+          <button class="btn-delete" data-action="delete" data-id="${entry.id}" title="Delete forever">❌</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+  
+  list.querySelectorAll('button[data-action]').forEach(btn => {
+    btn.addEventListener('click', managerOnly(() => handleTrashAction(btn.dataset.action, btn.dataset.id)));
+  });
+}
+
+async function handleTrashAction(action, trashId) {
+  if (action === 'restore') {
+    await restoreFromTrash(trashId);
+    refreshUnitSelectors();
+    renderQuestionsList();
+  } else if (action === 'delete') {
+    if (!confirm('Delete this for good? It can\'t be restored afterwards.')) return;
+    await emptyTrash([trashId]);
+  }
+  renderTrashList();
+  updateTrashButton();
+}
+
+async function handleEmptyTrash() {
+  if (!confirm('Delete everything in the trash for good?')) return;
+  await emptyTrash();
+  renderTrashList();
+  updateTrashButton();
+}
+
+function updateTrashButton() {
+  const count = getTrash().length;
+  document.getElementById('trash-btn').textContent = count > 0 ? `🗑️ Trash (${count})` : '🗑️ Trash';
+}
+
+// ===== Check Bank =====
+
+function openCheckBankModal() {
+  renderCheckBankReport();
+  document.getElementById('check-bank-modal').classList.remove('hidden');
+}
+
+function closeCheckBankModal() {
+  document.getElementById('check-bank-modal').classList.add('hidden');
+}
+
+// Every problem in the bank, with the quick fixes that suit it
+function renderCheckBankReport() {
+  const list = document.getElementById('check-bank-list');
+  const issues = checkBank(getQuestions(), getUnits());
+  state.bankIssues = issues;
+
+  if (issues.length === 0) {
+    list.innerHTML = '<p style="text-align: center; color: #888;">✅ No problems found.</p>';
+    return;
+  }
+
+  const fixButtons = issue => {
+    switch (issue.code) {
+      case 'duplicate':
+        return `
+          <button class="btn btn-secondary btn-small" data-action="merge">🔗 Merge</button>
+          <button class="btn btn-secondary btn-small" data-action="delete-duplicates">🗑️ Delete duplicates</button>
+        `;
+      case 'wrong-equals-correct':
+      case 'duplicate-wrong':
+        return `<button class="btn btn-secondary btn-small" data-action="clean">🧹 Fix wrong answers</button>`;
+      default:
+        return `<button class="btn btn-secondary btn-small" data-action="edit">✏️ Edit</button>`;
+    }
+  };
+
+  list.innerHTML = issues.map((issue, index) => `
+    <div class="trash-item bank-issue ${issue.severity}" data-index="${index}">
+      <div class="trash-title">${issue.severity === 'error' ? '⛔' : '⚠️'} ${escapeHtml(issue.message)}</div>
+      <div class="bank-fixes">${fixButtons(issue)}</div>
+    </div>
+  `).join('');
+
+  list.querySelectorAll('button[data-action]').forEach(btn => {
+    btn.addEventListener('click', managerOnly(handleBankFix));
+  });
+}
+
+async function handleBankFix(e) {
+  const action = e.currentTarget.dataset.action;
+  const issue = state.bankIssues[Number(e.currentTarget.closest('.bank-issue').dataset.index)];
+  if (!issue) return;
+  const [keepId, ...otherIds] = issue.questionIds;
+
+  if (action === 'edit') {
+    closeCheckBankModal();
+    window.editQuestion(keepId);
+    return;
+  }
+
+  if (action === 'merge') {
+    const merged = await mergeQuestions(issue.questionIds);
+    if (!merged) return;
+    const { previous, entry } = merged;
+    showUndoToast('🔗 Questions merged', async () => {
+      await restoreQuestions([previous]);
+      await restoreFromTrash(entry.id);
+    });
+  } else if (action === 'delete-duplicates') {
+    const entry = await deleteQuestions(otherIds);
+    if (!entry) return;
+    showUndoToast(`🗑️ ${otherIds.length} duplicate(s) moved to the trash`, () => restoreFromTrash(entry.id));
+  } else if (action === 'clean') {
+    const question = getQuestions().find(q => q.id === keepId);
+    const wrong = cleanWrongAnswers(question);
+    if (wrong.length === 0) {
+      // Nothing would be left, so the question needs new wrong answers
+      closeCheckBankModal();
+      window.editQuestion(keepId);
+      return;
+    }
+    const previous = await updateQuestion(keepId, { wrong });
+    showUndoToast('🧹 Wrong answers fixed', () => restoreQuestions([previous]));
+  }
+
+  renderCheckBankReport();
+  renderQuestionsList();
 }
 
 // Handle reset questions - show confirm modal
@@ -485,8 +1821,8 @@ function handleResetQuestions() {
 }
 
 // Confirm reset
-function confirmReset() {
-  resetToDefault();
+async function confirmReset() {
+  await resetToDefault();
   refreshUnitSelectors();
   renderQuestionsList();
   document.getElementById('confirm-reset-modal').classList.add('hidden');
@@ -497,57 +1833,782 @@ function cancelReset() {
   document.getElementById('confirm-reset-modal').classList.add('hidden');
 }
 
+// ===== Import / Export =====
+
+const IMPORT_PREVIEW_ROWS = 8;
+
+function openImportModal() {
+  state.importSource = null;
+  document.getElementById('import-file-input').value = '';
+  document.getElementById('import-csv-options').classList.add('hidden');
+  document.getElementById('import-preview').innerHTML = '';
+  document.getElementById('import-error').classList.add('hidden');
+  document.querySelector('input[name="import-mode"][value="merge"]').checked = true;
+  document.getElementById('confirm-import-btn').disabled = true;
+  document.getElementById('import-modal').classList.remove('hidden');
+}
+
+function closeImportModal() {
+  state.importSource = null;
+  document.getElementById('import-modal').classList.add('hidden');
+}
+
+function showImportError(message) {
+  const error = document.getElementById('import-error');
+  error.textContent = message;
+  error.classList.remove('hidden');
+  document.getElementById('confirm-import-btn').disabled = true;
+}
+
+// Read the chosen file as CSV rows or a unit-array JSON file
+async function handleImportFile(e) {
+  const file = e.target.files[0];
+  state.importSource = null;
+  document.getElementById('import-error').classList.add('hidden');
+  document.getElementById('import-preview').innerHTML = '';
+  if (!file) return;
+
+  const text = await file.text();
+  const isJson = file.name.toLowerCase().endsWith('.json') || text.trim().startsWith('[');
+  document.getElementById('import-csv-options').classList.toggle('hidden', isJson);
+
+  if (isJson) {
+    try {
+      state.importSource = { kind: 'json', unitArray: JSON.parse(text) };
+    } catch (error) {
+      showImportError('This JSON file could not be read. Please check that it is valid.');
+      return;
+    }
+  } else {
+    const rows = parseCSV(text);
+    if (rows.length === 0) {
+      showImportError('This file has no rows to import.');
+      return;
+    }
+    const headerMapping = guessColumnMapping(rows[0]);
+    const columnCount = Math.max(...rows.map(row => row.length));
+    state.importSource = {
+      kind: 'csv',
+      rows,
+      hasHeader: !!headerMapping,
+      mapping: headerMapping || defaultColumnMapping(columnCount)
+    };
+    while (state.importSource.mapping.length < columnCount) {
+      state.importSource.mapping.push('ignore');
+    }
+    document.getElementById('import-header-toggle').checked = !!headerMapping;
+    const activeUnit = getUnits().find(u => u.id === getActiveManagerUnitId());
+    document.getElementById('import-unit-input').value = activeUnit ? activeUnit.name : '';
+  }
+
+  renderImportPreview();
+}
+
+function handleImportHeaderChange(e) {
+  if (!state.importSource || state.importSource.kind !== 'csv') return;
+  state.importSource.hasHeader = e.target.checked;
+  renderImportPreview();
+}
+
+function handleImportMappingChange(e) {
+  state.importSource.mapping[parseInt(e.target.dataset.column)] = e.target.value;
+  renderImportPreview();
+}
+
+// The units that would be imported with the current file and column mapping
+function getImportUnitArray() {
+  const source = state.importSource;
+  if (!source) return [];
+  if (source.kind === 'json') return source.unitArray;
+  const fallbackUnitName = document.getElementById('import-unit-input').value.trim() || 'Imported';
+  const rows = source.hasHeader ? source.rows.slice(1) : source.rows;
+  return rowsToUnitArray(rows, source.mapping, fallbackUnitName);
+}
+
+// Show the column mapping, the first rows and what will be imported
+function renderImportPreview() {
+  const source = state.importSource;
+  const preview = document.getElementById('import-preview');
+  if (!source) return;
+
+  let tableHtml = '';
+  if (source.kind === 'csv') {
+    const rows = source.hasHeader ? source.rows.slice(1) : source.rows;
+    const fieldOptions = column => Object.entries(COLUMN_FIELDS).map(([field, label]) =>
+      `<option value="${field}" ${source.mapping[column] === field ? 'selected' : ''}>${label}</option>`
+    ).join('');
+    tableHtml = `
+      <div class="import-table-wrapper">
+        <table class="import-table">
+          <thead>
+            <tr>${source.mapping.map((_, column) => `
+              <th>
+                <select data-column="${column}">${fieldOptions(column)}</select>
+                ${source.hasHeader ? `<div class="import-column-name">${escapeHtml(source.rows[0][column])}</div>` : ''}
+              </th>`).join('')}
+            </tr>
+          </thead>
+          <tbody>
+            ${rows.slice(0, IMPORT_PREVIEW_ROWS).map(row => `
+              <tr>${source.mapping.map((_, column) => `<td>${escapeHtml(row[column])}</td>`).join('')}</tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  const unitArray = getImportUnitArray();
+  const validJson = source.kind !== 'json' || isUnitArray(unitArray);
+  const questionCount = validJson
+    ? unitArray.reduce((sum, item) => sum + (item.question || item.questions).length, 0)
+    : 0;
+  const issues = validJson
+    ? unitArray.flatMap(item => (item.question || item.questions).flatMap(validateQuestion))
+    : [];
+  const invalidCount = issues.filter(issue => issue.severity === 'error').length;
+
+  preview.innerHTML = `
+    ${tableHtml}
+    <p class="import-summary">
+      ${validJson && questionCount > 0
+        ? `${questionCount} question(s) in ${unitArray.length} unit(s): ${escapeHtml(unitArray.map(item => item.unit).join(', '))}`
+        : 'No questions found. Check that the question, correct and wrong columns are chosen.'}
+    </p>
+    ${issues.length > 0 ? `
+      <div class="import-issues">
+        ${invalidCount > 0 ? `<p>⚠️ Questions with errors will be skipped:</p>` : ''}
+        <ul>
+          ${issues.slice(0, IMPORT_PREVIEW_ROWS).map(issue => `<li class="${issue.severity}">${escapeHtml(issue.message)}</li>`).join('')}
+          ${issues.length > IMPORT_PREVIEW_ROWS ? `<li>…and ${issues.length - IMPORT_PREVIEW_ROWS} more</li>` : ''}
+        </ul>
+      </div>
+    ` : ''}
+  `;
+  preview.querySelectorAll('select[data-column]').forEach(select => {
+    select.addEventListener('change', managerOnly(handleImportMappingChange));
+  });
+
+  document.getElementById('import-error').classList.add('hidden');
+  document.getElementById('confirm-import-btn').disabled = !validJson || questionCount === 0;
+}
+
+async function handleConfirmImport() {
+  const mode = document.querySelector('input[name="import-mode"]:checked').value;
+  if (mode === 'replace' && !confirm('Replace all current units and questions with this file?')) {
+    return;
+  }
+
+  try {
+    const result = await importUnits(getImportUnitArray(), mode);
+    closeImportModal();
+    refreshUnitSelectors();
+    renderQuestionsList();
+    const skipped = [
+      result.skipped > 0 ? `${result.skipped} duplicate(s)` : '',
+      result.invalid > 0 ? `${result.invalid} invalid question(s)` : ''
+    ].filter(Boolean).join(' and ');
+    alert(`Imported ${result.questions} question(s) and ${result.units} new unit(s)${skipped ? ` (${skipped} skipped)` : ''}.`);
+  } catch (error) {
+    showImportError(error.message);
+  }
+}
+
+function openExportModal() {
+  const units = getUnits();
+  const select = document.getElementById('export-unit-select');
+  select.replaceChildren(new Option('All units', ''), ...units.map(u => new Option(u.name, u.id)));
+  select.value = getActiveManagerUnitId() || '';
+  document.getElementById('export-modal').classList.remove('hidden');
+}
+
+function closeExportModal() {
+  document.getElementById('export-modal').classList.add('hidden');
+}
+
+// Download one unit or every unit as CSV or questions.json-style JSON
+function handleConfirmExport() {
+  const unitId = document.getElementById('export-unit-select').value;
+  const format = document.getElementById('export-format-select').value;
+  const unitArray = exportUnits(unitId ? [unitId] : null);
+  const baseName = (unitId ? unitArray[0].unit : 'all-units')
+    .trim().replace(/[^\p{L}\p{N}_-]+/gu, '-').toLowerCase() || 'questions';
+
+  if (format === 'json') {
+    downloadFile(JSON.stringify(unitArray, null, 2), `${baseName}.json`, 'application/json');
+  } else {
+    // The byte order mark lets spreadsheet apps read Vietnamese text as UTF-8
+    downloadFile('\uFEFF' + toCSV(unitArrayToRows(unitArray)), `${baseName}.csv`, 'text/csv');
+  }
+  closeExportModal();
+}
+
 // Authentication functions
 function handleManageClick() {
-  state.isAuthenticated = true;
-  showScreen('manager');
+  requestManagerAccess(() => showScreen('manager'));
 }
 
 function handleManagerBack() {
-  state.isAuthenticated = false;
   showScreen('welcome');
 }
 
+// ===== Manager Lock =====
+
+// Run onUnlock once the teacher has entered the PIN, asking them to set one first if needed
+function requestManagerAccess(onUnlock) {
+  if (state.isAuthenticated) {
+    onUnlock();
+    return;
+  }
+  if (!isLockAvailable()) {
+    alert('The manager needs a secure connection. Open the game over https or from localhost.');
+    return;
+  }
+  state.afterUnlock = onUnlock;
+  openAuthModal(hasPin() ? 'unlock' : 'setup');
+}
+
+// Manager actions only run while the teacher is signed in; otherwise the manager locks
+// Changes that fail to save are reported here (see handleSaveFailure)
+function managerOnly(handler) {
+  return (...args) => {
+    if (!state.isAuthenticated) {
+      lockManager();
+      return undefined;
+    }
+    touchManagerSession();
+    const result = handler(...args);
+    return result instanceof Promise ? result.catch(handleSaveFailure) : result;
+  };
+}
+
+// The question bank has already been read back from storage (see persist in questions.js),
+// so redraw the manager to show what was actually saved
+function handleSaveFailure(error) {
+  console.error('Failed to save a manager change:', error);
+  refreshUnitSelectors();
+  renderQuestionsList();
+  updateTrashButton();
+  if (!document.getElementById('trash-modal').classList.contains('hidden')) {
+    renderTrashList();
+  }
+  alert('That change could not be saved, so it has been undone. The device may be out of storage space - free some up and try again.');
+}
+
+function startManagerSession() {
+  state.isAuthenticated = true;
+  touchManagerSession();
+  clearInterval(state.managerSessionTimer);
+  state.managerSessionTimer = setInterval(checkManagerSession, MANAGER_SESSION_CHECK_MS);
+}
+
+function touchManagerSession() {
+  if (state.isAuthenticated) {
+    state.managerSessionExpiresAt = Date.now() + MANAGER_SESSION_MS;
+  }
+}
+
+function endManagerSession() {
+  state.isAuthenticated = false;
+  clearInterval(state.managerSessionTimer);
+  state.managerSessionTimer = null;
+}
+
+function checkManagerSession() {
+  if (state.isAuthenticated && Date.now() >= state.managerSessionExpiresAt) {
+    lockManager();
+    showToast(`🔒 The manager was locked after ${MANAGER_SESSION_MS / 60000} minutes without use`);
+  }
+}
+
+// Sign out, closing anything the manager had open
+function lockManager() {
+  endManagerSession();
+  screens.manager.querySelectorAll('.modal').forEach(modal => modal.classList.add('hidden'));
+  if (state.currentScreen === 'manager') {
+    showScreen('welcome');
+  }
+}
+
+const AUTH_MODES = {
+  unlock: {
+    title: '🔒 Teacher PIN',
+    description: 'Enter the teacher PIN to manage questions',
+    pinLabel: 'PIN:',
+    submit: 'Unlock'
+  },
+  setup: {
+    title: '🔑 Set a Teacher PIN',
+    description: 'Choose a PIN so only teachers can change the questions',
+    pinLabel: 'New PIN:',
+    submit: 'Save PIN'
+  },
+  change: {
+    title: '🔑 Change PIN',
+    description: 'Choose a new teacher PIN. You will get a new recovery code too.',
+    pinLabel: 'New PIN:',
+    submit: 'Save PIN'
+  },
+  recover: {
+    title: '🔑 Reset PIN',
+    description: 'Enter the recovery code you wrote down when the PIN was set, then choose a new PIN',
+    pinLabel: 'New PIN:',
+    submit: 'Reset PIN'
+  }
+};
+
+function openAuthModal(mode) {
+  const labels = AUTH_MODES[mode];
+  state.authMode = mode;
+  document.getElementById('auth-title').textContent = labels.title;
+  document.getElementById('auth-description').textContent = labels.description;
+  document.getElementById('pin-label').textContent = labels.pinLabel;
+  document.getElementById('auth-submit-btn').textContent = labels.submit;
+  document.getElementById('recovery-code-group').classList.toggle('hidden', mode !== 'recover');
+  document.getElementById('pin-confirm-group').classList.toggle('hidden', mode === 'unlock');
+  document.getElementById('forgot-pin-btn').classList.toggle('hidden', mode !== 'unlock');
+  ['pin-input', 'pin-confirm-input', 'recovery-code-input'].forEach(id => {
+    document.getElementById(id).value = '';
+  });
+  document.getElementById('auth-error').classList.add('hidden');
+  showLockoutError();
+
+  document.getElementById('auth-modal').classList.remove('hidden');
+  document.getElementById(mode === 'recover' ? 'recovery-code-input' : 'pin-input').focus();
+}
+
+function closeAuthModal() {
+  document.getElementById('auth-modal').classList.add('hidden');
+  state.afterUnlock = null;
+}
+
+function showAuthError(message) {
+  const error = document.getElementById('auth-error');
+  error.textContent = message;
+  error.classList.remove('hidden');
+}
+
+function showLockoutError() {
+  const remaining = getLockoutRemaining();
+  if (remaining > 0 && (state.authMode === 'unlock' || state.authMode === 'recover')) {
+    showAuthError(`Too many wrong tries. Try again in ${Math.ceil(remaining / 60000)} minute(s).`);
+  }
+}
+
+async function handleAuthSubmit(e) {
+  e.preventDefault();
+  const mode = state.authMode;
+  const pinInput = document.getElementById('pin-input');
+  const pin = pinInput.value.trim();
+  const confirmPin = document.getElementById('pin-confirm-input').value.trim();
+
+  if (mode !== 'unlock' && pin !== confirmPin) {
+    showAuthError('The two PINs are different.');
+    return;
+  }
+
+  try {
+    if (mode === 'unlock') {
+      const result = await verifyPin(pin);
+      if (!result.ok) {
+        pinInput.value = '';
+        if (result.lockedFor > 0) {
+          showLockoutError();
+        } else {
+          showAuthError(`Wrong PIN. ${result.attemptsLeft} tries left.`);
+        }
+        return;
+      }
+      document.getElementById('auth-modal').classList.add('hidden');
+      startManagerSession();
+      runAfterUnlock();
+    } else if (mode === 'recover') {
+      const result = await resetPinWithRecoveryCode(document.getElementById('recovery-code-input').value, pin);
+      if (!result.ok) {
+        if (result.lockedFor > 0) {
+          showLockoutError();
+        } else {
+          showAuthError(`Wrong recovery code. ${result.attemptsLeft} tries left.`);
+        }
+        return;
+      }
+      document.getElementById('auth-modal').classList.add('hidden');
+      startManagerSession();
+      showRecoveryCode(result.recoveryCode);
+    } else {
+      const recoveryCode = await setPin(pin);
+      document.getElementById('auth-modal').classList.add('hidden');
+      startManagerSession();
+      showRecoveryCode(recoveryCode);
+    }
+  } catch (error) {
+    showAuthError(error.message);
+  }
+}
+
+// The recovery code is only ever shown here, right after a PIN is set
+function showRecoveryCode(code) {
+  document.getElementById('recovery-code-display').textContent = code;
+  document.getElementById('recovery-code-modal').classList.remove('hidden');
+}
+
+function closeRecoveryCodeModal() {
+  document.getElementById('recovery-code-display').textContent = '';
+  document.getElementById('recovery-code-modal').classList.add('hidden');
+  runAfterUnlock();
+}
+
+function runAfterUnlock() {
+  const onUnlock = state.afterUnlock;
+  state.afterUnlock = null;
+  if (onUnlock) onUnlock();
+}
+
+// ===== Player Profiles =====
+
+// Avatar buttons for each profile plus playing as a guest
+function renderProfilePicker() {
+  const activeProfile = getActiveProfile();
+  const chips = [
+    ...getProfiles().map(p => ({ id: p.id, avatar: p.avatar, name: p.name })),
+    { id: '', avatar: '🙂', name: 'Guest' }
+  ];
+  const list = document.getElementById('profile-list');
+  list.innerHTML = chips.map(chip => `
+    <button type="button" class="profile-chip ${(activeProfile ? activeProfile.id : '') === chip.id ? 'active' : ''}" data-id="${escapeHtml(chip.id)}">
+      <span class="profile-avatar">${escapeHtml(chip.avatar)}</span>
+      <span class="profile-name">${escapeHtml(chip.name)}</span>
+    </button>
+  `).join('') + `
+    <button type="button" class="profile-chip profile-add" data-add="true">
+      <span class="profile-avatar">➕</span>
+      <span class="profile-name">New Player</span>
+    </button>
+  `;
+  list.querySelectorAll('.profile-chip').forEach(chip => {
+    chip.addEventListener('click', () => {
+      if (chip.dataset.add) {
+        openProfileModal(null);
+      } else {
+        selectProfile(chip.dataset.id || null);
+      }
+    });
+  });
+}
+
+// Switch player and load their settings, unit selection and calibration
+function selectProfile(profileId) {
+  setActiveProfile(profileId);
+  loadProfileSettings();
+  renderProfilePicker();
+  refreshUnitSelectors();
+}
+
+function openProfileModal(profileId) {
+  const profile = profileId ? getProfiles().find(p => p.id === profileId) : null;
+  state.editingProfileId = profile ? profile.id : null;
+  document.getElementById('profile-modal-title').textContent = profile ? 'Edit Player' : 'Add Player';
+  document.getElementById('profile-name-input').value = profile ? profile.name : '';
+  const selectedAvatar = profile ? profile.avatar : AVATARS[getProfiles().length % AVATARS.length];
+  document.getElementById('avatar-options').innerHTML = AVATARS.map(avatar => `
+    <label class="avatar-option">
+      <input type="radio" name="profile-avatar" value="${avatar}" ${avatar === selectedAvatar ? 'checked' : ''}>
+      <span>${avatar}</span>
+    </label>
+  `).join('');
+  document.getElementById('profile-modal').classList.remove('hidden');
+  document.getElementById('profile-name-input').focus();
+}
+
+function closeProfileModal() {
+  document.getElementById('profile-modal').classList.add('hidden');
+  state.editingProfileId = null;
+}
+
+function handleSaveProfile(e) {
+  e.preventDefault();
+  const name = document.getElementById('profile-name-input').value.trim();
+  if (!name) return;
+  const avatar = document.querySelector('input[name="profile-avatar"]:checked').value;
+  
+  if (state.editingProfileId) {
+    updateProfile(state.editingProfileId, { name, avatar });
+    closeProfileModal();
+    renderProfilePicker();
+  } else {
+    const profile = addProfile(name, avatar);
+    closeProfileModal();
+    // A new player starts playing straight away from the welcome screen
+    if (state.currentScreen === 'welcome') {
+      selectProfile(profile.id);
+    } else {
+      renderProfilePicker();
+    }
+  }
+  if (state.currentScreen === 'manager') {
+    renderProfileManager();
+  }
+}
+
+// List players with their latest result in the manager
+function renderProfileManager() {
+  const profiles = getProfiles();
+  const list = document.getElementById('profile-manager-list');
+  if (profiles.length === 0) {
+    list.innerHTML = '<p class="profile-empty">No players yet. Everyone plays as a guest.</p>';
+    return;
+  }
+  
+  list.innerHTML = profiles.map(p => {
+    const history = p.history || [];
+    const last = history[0];
+    return `
+      <div class="profile-item">
+        <span class="profile-avatar">${escapeHtml(p.avatar)}</span>
+        <div class="profile-info">
+          <h4>${escapeHtml(p.name)}</h4>
+          <span class="profile-stats">
+            ${history.length} game(s)${last ? ` · last score ${last.score}/${last.total}` : ''}
+          </span>
+        </div>
+        <div class="question-actions">
+          <button class="btn-edit" data-action="history" data-id="${p.id}" title="History">📈</button>
+          <button class="btn-edit" data-action="edit" data-id="${p.id}" title="Edit">✏️</button>
+          <button class="btn-delete" data-action="delete" data-id="${p.id}" title="Delete">🗑️</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+  
+  list.querySelectorAll('button[data-action]').forEach(btn => {
+    btn.addEventListener('click', managerOnly(() => handleProfileAction(btn.dataset.action, btn.dataset.id)));
+  });
+}
+
+function handleProfileAction(action, profileId) {
+  const profile = getProfiles().find(p => p.id === profileId);
+  if (!profile) return;
+  
+  if (action === 'edit') {
+    openProfileModal(profileId);
+  } else if (action === 'history') {
+    showProfileHistory(profile);
+  } else if (action === 'delete') {
+    if (!confirm(`Delete ${profile.name} and all of their progress?`)) return;
+    deleteProfile(profileId);
+    loadProfileSettings();
+    renderProfilePicker();
+    renderProfileManager();
+  }
+}
+
+function showProfileHistory(profile) {
+  const history = profile.history || [];
+  document.getElementById('profile-history-title').textContent = `${profile.avatar} ${profile.name}'s Games`;
+  document.getElementById('profile-history-list').innerHTML = history.length === 0
+    ? '<p class="profile-empty">No games played yet.</p>'
+    : history.map(session => `
+      <div class="profile-history-item">
+        <span class="history-date">${new Date(session.playedAt).toLocaleString()}</span>
+        <span class="history-score">${session.score}/${session.total}</span>
+        <span class="history-units">${escapeHtml((session.units || []).join(', '))}${session.smartReview ? ' · 🧠' : ''}${session.timeLimit ? ` · ⏱️ ${session.timeLimit}s` : ''}${session.averageMs ? ` · avg ${formatSeconds(session.averageMs)}` : ''}</span>
+      </div>
+    `).join('');
+  document.getElementById('profile-history-modal').classList.remove('hidden');
+}
+
+function closeProfileHistory() {
+  document.getElementById('profile-history-modal').classList.add('hidden');
+}
+
+// ===== Input Settings =====
+
+// Let the teacher choose which inputs can answer questions
+function renderInputSettings() {
+  const container = document.getElementById('input-checkboxes');
+  if (!container) return;
+  const settings = loadInputSettings();
+
+  container.innerHTML = Object.entries(INPUT_METHODS).map(([method, label]) => `
+    <label class="unit-checkbox">
+      <input type="checkbox" value="${method}" ${settings[method] ? 'checked' : ''}>
+      <span>${label}</span>
+    </label>
+  `).join('');
+  container.querySelectorAll('input[type="checkbox"]').forEach(cb => {
+    cb.addEventListener('change', managerOnly(handleInputSettingChange));
+  });
+}
+
+function handleInputSettingChange(e) {
+  const settings = loadInputSettings();
+  settings[e.target.value] = e.target.checked;
+
+  if (!Object.values(settings).some(Boolean)) {
+    alert('At least one input must stay turned on.');
+    e.target.checked = true;
+    return;
+  }
+  saveInputSettings(settings);
+}
+
+// ===== Read Aloud Settings =====
+
+// Toggles for reading prompts and answers, and which voice reads each
+async function renderSpeechSettings() {
+  const container = document.getElementById('speech-settings');
+  if (!container) return;
+  if (!isSpeechAvailable()) {
+    container.innerHTML = '<p class="profile-empty">This browser can\'t read text aloud.</p>';
+    return;
+  }
+  const settings = loadSpeechSettings();
+  const voices = await getVoices();
+  const voiceOptions = (selected, lang) => [
+    `<option value="">Default voice (${lang})</option>`,
+    ...voices.map(v => `<option value="${v.voiceURI}" ${v.voiceURI === selected ? 'selected' : ''}>${v.name} (${v.lang})</option>`)
+  ].join('');
+  
+  container.innerHTML = `
+    <label class="unit-checkbox">
+      <input type="checkbox" data-setting="readPrompt" ${settings.readPrompt ? 'checked' : ''}>
+      <span>🗣️ Read each question aloud</span>
+    </label>
+    <label class="speech-voice">
+      <span>Question voice:</span>
+      <select data-setting="promptVoice">${voiceOptions(settings.promptVoice, settings.promptLang)}</select>
+    </label>
+    <label class="unit-checkbox">
+      <input type="checkbox" data-setting="readAnswer" ${settings.readAnswer ? 'checked' : ''}>
+      <span>🗣️ Say the correct answer after a right answer</span>
+    </label>
+    <label class="speech-voice">
+      <span>Answer voice:</span>
+      <select data-setting="answerVoice">${voiceOptions(settings.answerVoice, settings.answerLang)}</select>
+    </label>
+    <button type="button" id="test-speech-btn" class="btn btn-secondary btn-small">▶️ Test Voices</button>
+  `;
+  container.querySelectorAll('[data-setting]').forEach(input => {
+    input.addEventListener('change', managerOnly(handleSpeechSettingChange));
+  });
+  document.getElementById('test-speech-btn').addEventListener('click', managerOnly(() => {
+    const current = loadSpeechSettings();
+    stopSpeaking();
+    speakPrompt('Xin chào', current);
+    speakAnswer('Hello', current);
+  }));
+}
+
+function handleSpeechSettingChange(e) {
+  const settings = loadSpeechSettings();
+  const key = e.target.dataset.setting;
+  settings[key] = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+  saveSpeechSettings(settings);
+}
+
 // ===== Unit Management =====
 function refreshUnitSelectors() {
   const units = getUnits();
   const checkboxesContainer = document.getElementById('unit-checkboxes');
   const questionUnitSelect = document.getElementById('question-unit-select');
-  const savedUnitIds = JSON.parse(localStorage.getItem('selected-unit-ids') || '[]');
+  const savedUnitIds = JSON.parse(localStorage.getItem(profileKey('selected-unit-ids')) || '[]');
   const savedManagerUnitId = localStorage.getItem('active-unit-id');
 
+  // The welcome picker only lists units at the chosen level
+  const levels = getUnitLevels();
+  const savedLevel = localStorage.getItem(profileKey('unit-level-filter')) || '';
+  const levelFilter = levels.includes(savedLevel) ? savedLevel : '';
+  const pickerUnits = levelFilter ? units.filter(u => u.level === levelFilter) : units;
+  const pickerFallbackId = pickerUnits[0] ? pickerUnits[0].id : '';
+
   const fallbackUnitId = units[0] ? units[0].id : '';
-  const selectedIds = savedUnitIds.filter(id => units.some(u => u.id === id));
+  const selectedIds = savedUnitIds.filter(id => pickerUnits.some(u => u.id === id));
   const managerUnitId = savedManagerUnitId && units.some(u => u.id === savedManagerUnitId)
     ? savedManagerUnitId
     : fallbackUnitId;
 
-  const optionsHtml = units.map(u => `<option value="${u.id}">${u.name}</option>`).join('');
-  if (questionUnitSelect) questionUnitSelect.innerHTML = optionsHtml;
+  if (questionUnitSelect) questionUnitSelect.replaceChildren(...units.map(u => new Option(u.name, u.id)));
+  const bulkTargetSelect = document.getElementById('bulk-target-unit');
+  if (bulkTargetSelect) {
+    const previousTarget = bulkTargetSelect.value;
+    bulkTargetSelect.replaceChildren(...units.map(u => new Option(`to ${u.name}`, u.id)));
+    if (units.some(u => u.id === previousTarget)) bulkTargetSelect.value = previousTarget;
+  }
+
+  const levelSelect = document.getElementById('unit-level-filter');
+  levelSelect.replaceChildren(new Option('All levels', ''), ...levels.map(level => new Option(level, level)));
+  levelSelect.value = levelFilter;
+  levelSelect.classList.toggle('hidden', levels.length === 0);
+  const levelSuggestions = [...new Set([...levels, 'Grade 1', 'Grade 2', 'Grade 3', 'Grade 4', 'Grade 5'])];
+  document.getElementById('unit-level-suggestions').replaceChildren(...levelSuggestions.map(level => new Option('', level)));
 
   if (checkboxesContainer) {
-    checkboxesContainer.innerHTML = units.map(u => {
-      const checked = selectedIds.length > 0 ? selectedIds.includes(u.id) : u.id === fallbackUnitId;
-      return `
-        <label class="unit-checkbox">
-          <input type="checkbox" value="${u.id}" ${checked ? 'checked' : ''}>
-          <span>${u.name}</span>
-        </label>
-      `;
-    }).join('');
+    const dueCounts = countDueByUnit(getQuestions().filter(q => !q.disabled));
+    checkboxesContainer.replaceChildren(...pickerUnits.map(u => createUnitCheckbox(
+      u,
+      selectedIds.length > 0 ? selectedIds.includes(u.id) : u.id === pickerFallbackId,
+      dueCounts[u.id] || 0
+    )));
     checkboxesContainer.querySelectorAll('input[type="checkbox"]').forEach(cb => {
       cb.addEventListener('change', handleWelcomeUnitChange);
     });
   }
 
-  const persistedIds = selectedIds.length > 0 ? selectedIds : (fallbackUnitId ? [fallbackUnitId] : []);
-  localStorage.setItem('selected-unit-ids', JSON.stringify(persistedIds));
+  const persistedIds = selectedIds.length > 0 ? selectedIds : (pickerFallbackId ? [pickerFallbackId] : []);
+  localStorage.setItem(profileKey('selected-unit-ids'), JSON.stringify(persistedIds));
   if (managerUnitId) {
     localStorage.setItem('active-unit-id', managerUnitId);
   }
 
   renderUnitTabs(units, managerUnitId);
   if (questionUnitSelect) questionUnitSelect.value = managerUnitId;
+  const managerUnit = units.find(u => u.id === managerUnitId);
+  document.getElementById('unit-direction-select').value = (managerUnit && managerUnit.direction) || 'forward';
+}
+
+// One row of the welcome picker. Unit details come from imports and share links,
+// so they are set as text rather than markup
+function createUnitCheckbox(unit, checked, dueCount) {
+  const label = document.createElement('label');
+  label.className = 'unit-checkbox';
+  label.style.setProperty('--unit-color', unit.color || UNIT_COLORS[0]);
+  label.innerHTML = `
+    <input type="checkbox">
+    <span class="unit-icon"></span>
+    <span class="unit-text"><span class="unit-name"></span></span>
+    <span class="due-count ${dueCount === 0 ? 'none-due' : ''}">${dueCount > 0 ? `🧠 ${dueCount} due` : '✓ all reviewed'}</span>
+  `;
+  const input = label.querySelector('input');
+  input.value = unit.id;
+  input.checked = checked;
+  label.querySelector('.unit-icon').textContent = unit.icon || UNIT_ICONS[0];
+  label.querySelector('.unit-name').textContent = unit.name;
+  if (unit.description) {
+    const description = document.createElement('span');
+    description.className = 'unit-description';
+    description.textContent = unit.description;
+    label.querySelector('.unit-text').appendChild(description);
+  }
+  if (unit.level) {
+    const level = document.createElement('span');
+    level.className = 'unit-level';
+    level.textContent = unit.level;
+    label.querySelector('.due-count').before(level);
+  }
+  return label;
+}
+
+// Ask the active unit's questions as written, reversed or both ways (see setUnitDirection)
+async function handleUnitDirectionChange(e) {
+  const unitId = getActiveManagerUnitId();
+  if (unitId) {
+    await setUnitDirection(unitId, e.target.value);
+  }
+}
+
+function handleUnitLevelFilterChange(e) {
+  localStorage.setItem(profileKey('unit-level-filter'), e.target.value);
+  refreshUnitSelectors();
 }
 
 function handleWelcomeUnitChange(e) {
@@ -556,7 +2617,7 @@ function handleWelcomeUnitChange(e) {
   const unitIds = Array.from(checkboxesContainer.querySelectorAll('input[type="checkbox"]'))
     .filter(cb => cb.checked)
     .map(cb => cb.value);
-  localStorage.setItem('selected-unit-ids', JSON.stringify(unitIds));
+  localStorage.setItem(profileKey('selected-unit-ids'), JSON.stringify(unitIds));
 }
 
 function getSelectedUnitIds() {
@@ -579,13 +2640,32 @@ function getActiveManagerUnitId() {
 
 function openUnitModal(mode) {
   state.unitModalMode = mode;
-  const title = mode === 'add' ? 'Add Unit' : 'Rename Unit';
+  const title = mode === 'add' ? 'Add Unit' : 'Edit Unit';
   document.getElementById('unit-modal-title').textContent = title;
   const input = document.getElementById('unit-name-input');
   const units = getUnits();
   const activeUnitId = getActiveManagerUnitId();
-  const activeUnit = units.find(u => u.id === activeUnitId);
-  input.value = mode === 'rename' && activeUnit ? activeUnit.name : '';
+  const unit = (mode === 'edit' && units.find(u => u.id === activeUnitId)) || {};
+  input.value = unit.name || '';
+  document.getElementById('unit-description-input').value = unit.description || '';
+  document.getElementById('unit-level-input').value = unit.level || '';
+
+  // New units get the next colour so neighbouring tabs look different
+  const selectedIcon = unit.icon || UNIT_ICONS[0];
+  const selectedColor = unit.color || UNIT_COLORS[units.length % UNIT_COLORS.length];
+  document.getElementById('unit-icon-options').innerHTML = UNIT_ICONS.map(icon => `
+    <label class="avatar-option">
+      <input type="radio" name="unit-icon" value="${icon}" ${icon === selectedIcon ? 'checked' : ''}>
+      <span>${icon}</span>
+    </label>
+  `).join('');
+  document.getElementById('unit-color-options').innerHTML = UNIT_COLORS.map(color => `
+    <label class="color-option">
+      <input type="radio" name="unit-color" value="${color}" ${color === selectedColor ? 'checked' : ''}>
+      <span style="background: ${color}"></span>
+    </label>
+  `).join('');
+
   document.getElementById('unit-modal').classList.remove('hidden');
   input.focus();
 }
@@ -595,19 +2675,25 @@ function closeUnitModal() {
   document.getElementById('unit-name-input').value = '';
 }
 
-function handleSaveUnit(e) {
+async function handleSaveUnit(e) {
   e.preventDefault();
   const name = document.getElementById('unit-name-input').value.trim();
   if (!name) return;
+  const details = {
+    icon: document.querySelector('input[name="unit-icon"]:checked').value,
+    color: document.querySelector('input[name="unit-color"]:checked').value,
+    description: document.getElementById('unit-description-input').value,
+    level: document.getElementById('unit-level-input').value
+  };
 
   if (state.unitModalMode === 'add') {
-    const unit = addUnit(name);
+    const unit = await addUnit(name, details);
     refreshUnitSelectors();
     localStorage.setItem('active-unit-id', unit.id);
   } else {
     const activeUnitId = getActiveManagerUnitId();
     if (activeUnitId) {
-      updateUnit(activeUnitId, name);
+      await updateUnit(activeUnitId, { name, ...details });
     }
     refreshUnitSelectors();
   }
@@ -628,12 +2714,15 @@ function handleDeleteUnitClick() {
   document.getElementById('confirm-delete-unit-modal').classList.remove('hidden');
 }
 
-function confirmDeleteUnit() {
+async function confirmDeleteUnit() {
   const activeUnitId = getActiveManagerUnitId();
   if (activeUnitId) {
-    deleteUnit(activeUnitId);
+    const entry = await deleteUnit(activeUnitId);
     refreshUnitSelectors();
     renderQuestionsList();
+    if (entry) {
+      showUndoToast(`🗑️ Unit "${entry.unit.name}" moved to the trash`, () => restoreFromTrash(entry.id));
+    }
   }
   cancelDeleteUnit();
 }
@@ -651,19 +2740,184 @@ function renderUnitTabs(units, activeUnitId) {
     return;
   }
 
-  tabsContainer.innerHTML = units.map(u => `
-    <button class="unit-tab ${u.id === activeUnitId ? 'active' : ''}" data-unit-id="${u.id}">${u.name}</button>
-  `).join('');
+  tabsContainer.replaceChildren(...units.map(u => {
+    const tab = document.createElement('button');
+    tab.className = `unit-tab ${u.id === activeUnitId ? 'active' : ''}`;
+    tab.dataset.unitId = u.id;
+    tab.draggable = true;
+    tab.style.setProperty('--unit-color', u.color || UNIT_COLORS[0]);
+    tab.title = `${u.level ? `${u.level} · ` : ''}Drag to reorder`;
+    tab.textContent = `${u.icon || UNIT_ICONS[0]} ${u.name}`;
+    return tab;
+  }));
 
   tabsContainer.querySelectorAll('.unit-tab').forEach(btn => {
-    btn.addEventListener('click', () => {
+    btn.addEventListener('click', managerOnly(() => {
       const unitId = btn.getAttribute('data-unit-id');
       localStorage.setItem('active-unit-id', unitId);
       refreshUnitSelectors();
       renderQuestionsList();
+    }));
+    btn.addEventListener('dragstart', (e) => {
+      state.draggedUnitId = btn.dataset.unitId;
+      e.dataTransfer.effectAllowed = 'move';
+      btn.classList.add('dragging');
+    });
+    btn.addEventListener('dragend', () => {
+      state.draggedUnitId = null;
+      tabsContainer.querySelectorAll('.unit-tab').forEach(tab => tab.classList.remove('dragging', 'drop-target'));
+    });
+    btn.addEventListener('dragover', (e) => {
+      if (!state.draggedUnitId) return;
+      e.preventDefault();
+      btn.classList.add('drop-target');
     });
+    btn.addEventListener('dragleave', () => btn.classList.remove('drop-target'));
+    btn.addEventListener('drop', managerOnly((e) => handleUnitDrop(e, btn.dataset.unitId)));
   });
 }
 
+// Move the dragged unit to where it was dropped
+async function handleUnitDrop(e, targetUnitId) {
+  e.preventDefault();
+  const draggedUnitId = state.draggedUnitId;
+  state.draggedUnitId = null;
+  if (!draggedUnitId || draggedUnitId === targetUnitId) return;
+
+  const unitIds = getUnits().map(u => u.id);
+  const targetIndex = unitIds.indexOf(targetUnitId);
+  unitIds.splice(unitIds.indexOf(draggedUnitId), 1);
+  unitIds.splice(targetIndex, 0, draggedUnitId);
+  await reorderUnits(unitIds);
+  refreshUnitSelectors();
+}
+
+// ===== Share Unit =====
+
+async function openShareModal() {
+  const unitId = getActiveManagerUnitId();
+  const unit = getUnits().find(u => u.id === unitId);
+  if (!unit) return;
+  if (!isShareAvailable()) {
+    alert('Sharing needs a newer browser. Use Export instead.');
+    return;
+  }
+
+  const error = document.getElementById('share-error');
+  const canvas = document.getElementById('share-qr');
+  const url = await buildShareUrl(exportUnits([unitId]));
+  document.getElementById('share-modal-title').textContent = `🔗 Share "${unit.name}"`;
+  document.getElementById('share-link-input').value = url;
+  error.classList.add('hidden');
+  canvas.classList.remove('hidden');
+  document.getElementById('share-modal').classList.remove('hidden');
+
+  try {
+    await drawQRCode(canvas, url);
+  } catch (err) {
+    // QR codes hold about 3 KB, big units only fit in the link
+    console.warn('Failed to draw QR code:', err);
+    canvas.classList.add('hidden');
+    error.textContent = 'This unit is too big for a QR code. Send the link instead, or split the unit.';
+    error.classList.remove('hidden');
+  }
+}
+
+function closeShareModal() {
+  document.getElementById('share-modal').classList.add('hidden');
+}
+
+async function handleCopyShareLink() {
+  const input = document.getElementById('share-link-input');
+  try {
+    await navigator.clipboard.writeText(input.value);
+    showToast('📋 Link copied');
+  } catch (error) {
+    // Clipboard access can be blocked; let the teacher copy it by hand
+    input.select();
+  }
+}
+
+// Show the import preview when the page was opened from a share link
+async function openSharedUnitFromUrl() {
+  let unitArray;
+  try {
+    unitArray = await readShareFromUrl();
+  } catch (error) {
+    clearShareFromUrl();
+    alert(error.message);
+    return;
+  }
+  if (!unitArray) return;
+  if (!isUnitArray(unitArray) || unitArray.length === 0) {
+    clearShareFromUrl();
+    alert('This share link does not contain a unit.');
+    return;
+  }
+
+  const [shared] = unitArray;
+  const questions = sharedQuestions(shared);
+  const issues = questions.flatMap(validateQuestion);
+  const invalidCount = questions.filter(q => hasErrors(validateQuestion(q))).length;
+  // addUnit only keeps details it recognises (see unitDetails in questions.js)
+  const details = { color: shared.color, icon: shared.icon, description: shared.description, level: shared.level };
+  state.sharedUnit = { name: shared.unit, details, direction: shared.direction, questions };
+
+  document.getElementById('shared-unit-name-input').value = shared.unit;
+  document.getElementById('shared-unit-preview').innerHTML = `
+    <p class="import-summary">${questions.length} question(s)${invalidCount > 0 ? `, ${invalidCount} with errors will be skipped` : ''}</p>
+    <div class="import-table-wrapper">
+      <table class="import-table">
+        <thead><tr><th>Question</th><th>Correct answer</th><th>Wrong answer(s)</th></tr></thead>
+        <tbody>
+          ${questions.slice(0, IMPORT_PREVIEW_ROWS).map(q => `
+            <tr><td>${escapeHtml(q.question)}</td><td>${escapeHtml(q.correct)}</td><td>${escapeHtml([].concat(q.wrong).join(', '))}</td></tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+    ${questions.length > IMPORT_PREVIEW_ROWS ? `<p class="trash-hint">…and ${questions.length - IMPORT_PREVIEW_ROWS} more</p>` : ''}
+    ${issues.length > 0 ? `<div class="import-issues"><ul>${issues.map(issue => `<li class="${issue.severity}">${escapeHtml(issue.message)}</li>`).join('')}</ul></div>` : ''}
+  `;
+  document.getElementById('shared-unit-modal').classList.remove('hidden');
+}
+
+function closeSharedUnitModal() {
+  document.getElementById('shared-unit-modal').classList.add('hidden');
+  state.sharedUnit = null;
+  clearShareFromUrl();
+}
+
+// Adding a unit is a manager action, so the teacher PIN is asked for first
+function handleAddSharedUnit() {
+  const name = document.getElementById('shared-unit-name-input').value.trim();
+  if (!state.sharedUnit) return;
+  if (!name) {
+    alert('Please enter a unit name.');
+    return;
+  }
+  requestManagerAccess(managerOnly(() => addSharedUnit(name)));
+}
+
+// Add the shared unit as a new unit, leaving out questions that fail validation
+async function addSharedUnit(name) {
+  const shared = state.sharedUnit;
+  if (!shared) return;
+
+  const unit = await addUnit(name, shared.details);
+  if (shared.direction) {
+    await setUnitDirection(unit.id, shared.direction);
+  }
+  const valid = shared.questions.filter(q => !hasErrors(validateQuestion(q)));
+  for (const q of valid) {
+    await addQuestion({ ...q, unitId: unit.id });
+  }
+
+  closeSharedUnitModal();
+  localStorage.setItem('active-unit-id', unit.id);
+  showScreen('manager');
+  showToast(`📥 Added "${unit.name}" with ${valid.length} question(s)`);
+}
+
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', init);
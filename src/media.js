@@ -0,0 +1,52 @@
+// Pictures and audio clips attached to questions, stored locally as data URLs
+const MAX_IMAGE_SIZE = 480; // Longest side in pixels after resizing
+const IMAGE_QUALITY = 0.8;
+const MAX_AUDIO_BYTES = 500 * 1024;
+
+function readAsDataURL(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error('The file could not be read.'));
+    reader.readAsDataURL(file);
+  });
+}
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('This file is not a picture the browser can show.'));
+    image.src = src;
+  });
+}
+
+// Shrink a picture so it fits in local storage
+export async function readImageFile(file) {
+  if (!file.type.startsWith('image/')) {
+    throw new Error('Please choose a picture file.');
+  }
+  const image = await loadImage(await readAsDataURL(file));
+  const scale = Math.min(1, MAX_IMAGE_SIZE / Math.max(image.width, image.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(image.width * scale);
+  canvas.height = Math.round(image.height * scale);
+
+  const ctx = canvas.getContext('2d');
+  // JPEG has no transparency, so transparent pictures go on white
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL('image/jpeg', IMAGE_QUALITY);
+}
+
+// Audio is kept as recorded, so only short clips are accepted
+export async function readAudioFile(file) {
+  if (!file.type.startsWith('audio/')) {
+    throw new Error('Please choose an audio file.');
+  }
+  if (file.size > MAX_AUDIO_BYTES) {
+    throw new Error(`Audio clips must be smaller than ${Math.round(MAX_AUDIO_BYTES / 1024)} KB. Try a shorter clip.`);
+  }
+  return readAsDataURL(file);
+}
@@ -0,0 +1,92 @@
+// Player profiles so siblings or a class can share one device
+// Each profile keeps its own settings, calibration and review progress under
+// storage keys suffixed with the profile id (see profileKey); without a profile
+// the game plays as a guest using the plain keys
+const PROFILES_KEY = 'player-profiles';
+const ACTIVE_PROFILE_KEY = 'active-profile-id';
+const MAX_HISTORY = 50; // Sessions kept per profile
+
+export const AVATARS = ['🦊', '🐼', '🐯', '🐸', '🐵', '🦁', '🐰', '🐨', '🐙', '🦄', '🐢', '🐧'];
+
+function generateId() {
+  return `profile-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+}
+
+function loadProfiles() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PROFILES_KEY) || '[]');
+    return Array.isArray(saved) ? saved : [];
+  } catch (e) {
+    console.warn('Invalid player profiles, ignoring:', e);
+    return [];
+  }
+}
+
+function saveProfiles(profiles) {
+  localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+}
+
+export function getProfiles() {
+  return loadProfiles();
+}
+
+// The profile playing now, or null for a guest
+export function getActiveProfile() {
+  const activeId = localStorage.getItem(ACTIVE_PROFILE_KEY);
+  return loadProfiles().find(p => p.id === activeId) || null;
+}
+
+// Switch to a profile; pass null to play as a guest
+export function setActiveProfile(profileId) {
+  if (profileId) {
+    localStorage.setItem(ACTIVE_PROFILE_KEY, profileId);
+  } else {
+    localStorage.removeItem(ACTIVE_PROFILE_KEY);
+  }
+}
+
+// Storage key for a per-player setting of the active profile
+export function profileKey(key) {
+  const profile = getActiveProfile();
+  return profile ? `${key}:${profile.id}` : key;
+}
+
+export function addProfile(name, avatar = AVATARS[0]) {
+  const profiles = loadProfiles();
+  const profile = { id: generateId(), name: name.trim(), avatar, history: [], createdAt: Date.now() };
+  profiles.push(profile);
+  saveProfiles(profiles);
+  return profile;
+}
+
+export function updateProfile(profileId, changes) {
+  const profiles = loadProfiles();
+  const profile = profiles.find(p => p.id === profileId);
+  if (profile) {
+    Object.assign(profile, changes, changes.name ? { name: changes.name.trim() } : {});
+    saveProfiles(profiles);
+  }
+  return profile;
+}
+
+// Delete a profile with its settings and progress
+export function deleteProfile(profileId) {
+  saveProfiles(loadProfiles().filter(p => p.id !== profileId));
+  Object.keys(localStorage)
+    .filter(key => key.endsWith(`:${profileId}`))
+    .forEach(key => localStorage.removeItem(key));
+  if (localStorage.getItem(ACTIVE_PROFILE_KEY) === profileId) {
+    setActiveProfile(null);
+  }
+}
+
+// Add a finished game to the active profile's history (guests keep no history)
+export function recordSession(session) {
+  const activeId = localStorage.getItem(ACTIVE_PROFILE_KEY);
+  const profiles = loadProfiles();
+  const profile = profiles.find(p => p.id === activeId);
+  if (!profile) return;
+
+  profile.history = [{ playedAt: Date.now(), ...session }, ...(profile.history || [])].slice(0, MAX_HISTORY);
+  saveProfiles(profiles);
+}
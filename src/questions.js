@@ -1,45 +1,124 @@
 // Import default questions from JSON
 import defaultQuestions from './questions.json';
+import { selectForReview } from './review.js';
+import { getAll, getMeta, writeStores } from './storage.js';
+import { validateQuestion, hasErrors, cleanWrongAnswers } from './validation.js';
+import { misspell } from './spelling.js';
 
+// localStorage keys used before the move to IndexedDB, imported once
 const STORAGE_KEY = 'vocabulary-game-data';
 const LEGACY_STORAGE_KEY = 'vocabulary-game-questions';
+const LOCAL_STORAGE_IMPORT_KEY = 'imported-local-storage';
+const TRASH_RETENTION_MS = 30 * 24 * 60 * 60 * 1000; // Deleted items are kept for 30 days
 const DEFAULT_UNIT_NAME = 'Supper Kid';
 
+// Answer zones in the order they are used: tilts first, then nod and shake
+export const ANSWER_ZONES = ['left', 'right', 'nod', 'shake'];
+
+// Question formats, all answered by picking one of the choices:
+// choice is a prompt with a correct and wrong answers, spelling asks for the correctly
+// spelled word among misspellings, and blank is a sentence with a ___ gap to fill
+export const QUESTION_TYPES = ['choice', 'spelling', 'blank'];
+const SPELLING_PROMPT = 'Which word is spelled correctly?';
+
+// Which way a unit's questions are asked (see setUnitDirection)
+export const DIRECTIONS = ['forward', 'reverse', 'mixed'];
+
+// Colours and icons a teacher can pick for a unit
+export const UNIT_COLORS = ['#6C63FF', '#FF6B6B', '#4CAF50', '#FF9800', '#29B6F6', '#AB47BC', '#EC407A', '#8D6E63'];
+export const UNIT_ICONS = ['📚', '🐾', '🍎', '⚽', '🎨', '🏠', '🚗', '🌦️', '🔢', '🎵', '🌍', '🧸'];
+
+// Longest description and level a unit can have, in characters
+const UNIT_TEXT_LIMITS = { description: 120, level: 30 };
+
 function generateId(prefix) {
   return `${prefix}-${Date.now()}-${Math.random().toString(16).slice(2)}`;
 }
 
+// Wrong answers are a list; older data stored a single string
+// Imported text fields as trimmed strings; numbers are kept as text and anything else is dropped
+function toText(value) {
+  return typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '';
+}
+
+// Multiple choice is the default and isn't stored; unknown types fall back to it
+function toQuestionType(type) {
+  const text = toText(type);
+  return QUESTION_TYPES.includes(text) && text !== 'choice' ? { type: text } : {};
+}
+
+function toWrongList(wrong) {
+  const list = Array.isArray(wrong) ? wrong : [wrong];
+  const cleaned = list.map(toText).filter(Boolean);
+  return [...new Set(cleaned)];
+}
+
+// The questions.json format: [{ unit, question: [{ question, correct, wrong }] }]
+export function isUnitArray(source) {
+  return Array.isArray(source) && source.every(
+    item => item && typeof item.unit === 'string' && Array.isArray(item.question || item.questions)
+  );
+}
+
+// Optional unit details shown on the welcome screen's unit picker: a colour and icon
+// from the lists above and a short plain-text description and level. Anything else
+// is dropped, since imports and share links can hold any value
+function unitDetails(details = {}) {
+  const result = {};
+  const color = typeof details.color === 'string' ? details.color.trim().toUpperCase() : '';
+  if (UNIT_COLORS.includes(color)) {
+    result.color = color;
+  }
+  if (UNIT_ICONS.includes(details.icon)) {
+    result.icon = details.icon;
+  }
+  Object.entries(UNIT_TEXT_LIMITS).forEach(([field, limit]) => {
+    if (typeof details[field] === 'string') {
+      result[field] = details[field].replace(/\s+/g, ' ').trim().slice(0, limit).trim();
+    }
+  });
+  return result;
+}
+
+function unitArrayToData(unitArray) {
+  const units = unitArray
+    .map(item => ({
+      id: generateId('unit'),
+      name: item.unit.trim(),
+      ...unitDetails(item),
+      ...(DIRECTIONS.includes(item.direction) ? { direction: item.direction } : {})
+    }))
+    .filter(u => u.name);
+
+  if (units.length === 0) {
+    units.push({ id: generateId('unit'), name: DEFAULT_UNIT_NAME });
+  }
+
+  const unitIdByName = new Map(units.map(u => [u.name, u.id]));
+  const fallbackUnitId = units[0].id;
+
+  return {
+    units,
+    questions: unitArray.flatMap(item =>
+      (item.question || item.questions).map(q => ({
+        id: generateId('q'),
+        unitId: unitIdByName.get(item.unit.trim()) || fallbackUnitId,
+        disabled: !!q.disabled,
+        question: toText(q.question),
+        correct: toText(q.correct),
+        wrong: toWrongList(q.wrong),
+        ...toQuestionType(q.type),
+        ...(q.image ? { image: q.image } : {}),
+        ...(q.audio ? { audio: q.audio } : {})
+      }))
+    ).filter(q => q.correct && (q.type === 'spelling' || (q.question && q.wrong.length > 0)))
+  };
+}
+
 function buildDefaultData() {
   if (Array.isArray(defaultQuestions)) {
-    const isUnitArray = defaultQuestions.every(
-      item => item && typeof item.unit === 'string' && Array.isArray(item.question || item.questions)
-    );
-
-    if (isUnitArray) {
-      const units = defaultQuestions
-        .map(item => ({ id: generateId('unit'), name: item.unit.trim() }))
-        .filter(u => u.name);
-
-      if (units.length === 0) {
-        units.push({ id: generateId('unit'), name: DEFAULT_UNIT_NAME });
-      }
-
-      const unitIdByName = new Map(units.map(u => [u.name, u.id]));
-      const fallbackUnitId = units[0].id;
-
-      return {
-        units,
-        questions: defaultQuestions.flatMap(item =>
-          (item.question || item.questions).map(q => ({
-            id: generateId('q'),
-            unitId: unitIdByName.get(item.unit) || fallbackUnitId,
-            disabled: !!q.disabled,
-            question: q.question,
-            correct: q.correct,
-            wrong: q.wrong
-          }))
-        ).filter(q => q.question && q.correct && q.wrong)
-      };
+    if (isUnitArray(defaultQuestions)) {
+      return unitArrayToData(defaultQuestions);
     }
 
     const unitId = generateId('unit');
@@ -49,7 +128,8 @@ function buildDefaultData() {
         id: generateId('q'),
         unitId,
         disabled: false,
-        ...q
+        ...q,
+        wrong: toWrongList(q.wrong)
       }))
     };
   }
@@ -75,9 +155,9 @@ function buildDefaultData() {
           disabled: !!q.disabled,
           question: q.question,
           correct: q.correct,
-          wrong: q.wrong
+          wrong: toWrongList(q.wrong)
         }))
-        .filter(q => q.question && q.correct && q.wrong)
+        .filter(q => q.question && q.correct && q.wrong.length > 0)
     };
   }
 
@@ -90,10 +170,7 @@ function buildDefaultData() {
 
 function countDefaultQuestions() {
   if (Array.isArray(defaultQuestions)) {
-    const isUnitArray = defaultQuestions.every(
-      item => item && typeof item.unit === 'string' && Array.isArray(item.question || item.questions)
-    );
-    if (isUnitArray) {
+    if (isUnitArray(defaultQuestions)) {
       return defaultQuestions.reduce((sum, item) => sum + (item.question || item.questions).length, 0);
     }
     return defaultQuestions.length;
@@ -110,6 +187,12 @@ function normalizeData(data) {
   if (!data || !Array.isArray(data.units) || !Array.isArray(data.questions)) {
     return buildDefaultData();
   }
+  // Migrate single wrong answers to lists of distractors
+  data.questions = data.questions.map(q => ({
+    ...q,
+    wrong: toWrongList(q.wrong)
+  }));
+
   if (data.units.length === 0) {
     const fallback = buildDefaultData();
     return {
@@ -133,24 +216,18 @@ function normalizeData(data) {
   return data;
 }
 
-function loadData() {
+// Read the bank the game kept in localStorage before it moved to IndexedDB
+function readLocalStorageData() {
   const stored = localStorage.getItem(STORAGE_KEY);
   if (stored) {
-    const normalized = normalizeData(JSON.parse(stored));
-    const defaultCount = countDefaultQuestions();
-    if (normalized.questions.length === 0 && defaultCount > 0) {
-      const rebuilt = buildDefaultData();
-      saveData(rebuilt);
-      return rebuilt;
-    }
-    return normalized;
+    return normalizeData(JSON.parse(stored));
   }
 
   const legacy = localStorage.getItem(LEGACY_STORAGE_KEY);
   if (legacy) {
     const unitId = generateId('unit');
     const legacyQuestions = JSON.parse(legacy);
-    const migrated = {
+    return {
       units: [{ id: unitId, name: DEFAULT_UNIT_NAME }],
       questions: legacyQuestions.map(q => ({
         id: generateId('q'),
@@ -158,56 +235,280 @@ function loadData() {
         disabled: !!q.disabled,
         question: q.question,
         correct: q.correct,
-        wrong: q.wrong
+        wrong: toWrongList(q.wrong)
       }))
     };
-    saveData(migrated);
-    return migrated;
   }
 
-  const defaults = buildDefaultData();
-  saveData(defaults);
-  return defaults;
+  return null;
+}
+
+// ===== Storage =====
+// The bank lives in IndexedDB (see storage.js) with an in-memory copy for reads;
+// every change updates the copy and writes just the changed records through
+
+let store = null;
+let storageReady = false;
+
+// Records keep a position so units and questions load back in the same order
+function withPositions(items) {
+  return items.map((item, index) => ({ ...item, position: index }));
+}
+
+function nextPosition(items) {
+  return items.reduce((max, item) => Math.max(max, item.position ?? -1), -1) + 1;
 }
 
-function saveData(data) {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+function sortByPosition(items) {
+  return [...items].sort((a, b) => (a.position ?? 0) - (b.position ?? 0));
+}
+
+function getStore() {
+  if (!store) {
+    throw new Error('initQuestionStore() must finish before questions are used');
+  }
+  return store;
+}
+
+async function readStore() {
+  const [units, questions, trash] = await Promise.all([getAll('units'), getAll('questions'), getAll('trash')]);
+  return { units: sortByPosition(units), questions: sortByPosition(questions), trash };
+}
+
+// Changes are made in memory first; when the write fails, the bank is read back from
+// IndexedDB so memory matches what was saved, and the error goes on to the caller
+async function persist(changes) {
+  if (!storageReady) return;
+  try {
+    await writeStores(changes);
+  } catch (error) {
+    try {
+      store = await readStore();
+    } catch (readError) {
+      console.warn('Could not reload the question bank after a failed save:', readError);
+    }
+    throw error;
+  }
+}
+
+// Swap out the whole bank (the trash is kept)
+function replaceStore(data) {
+  store = {
+    units: withPositions(data.units),
+    questions: withPositions(data.questions),
+    trash: store ? store.trash : []
+  };
+  return persist({
+    units: { clear: true, put: store.units },
+    questions: { clear: true, put: store.questions }
+  });
+}
+
+// One-time move of the localStorage bank into IndexedDB
+// The localStorage copy stays until the import has been read back (see initQuestionStore)
+async function importLocalStorageOnce() {
+  if (await getMeta(LOCAL_STORAGE_IMPORT_KEY)) return;
+
+  const local = readLocalStorageData();
+  const existingUnits = await getAll('units');
+  const importedAt = { key: LOCAL_STORAGE_IMPORT_KEY, value: Date.now() };
+  if (local && existingUnits.length === 0) {
+    await writeStores({
+      units: { clear: true, put: withPositions(local.units) },
+      questions: { clear: true, put: withPositions(local.questions) },
+      meta: { put: [importedAt] }
+    });
+  } else {
+    await writeStores({ meta: { put: [importedAt] } });
+  }
+}
+
+function clearLocalStorageData() {
+  localStorage.removeItem(STORAGE_KEY);
+  localStorage.removeItem(LEGACY_STORAGE_KEY);
+}
+
+// Load the bank; must finish before any other function here is used
+// Without IndexedDB the game still plays, but changes last only until reload
+export async function initQuestionStore() {
+  try {
+    await importLocalStorageOnce();
+    const saved = await readStore();
+    storageReady = true;
+    store = saved;
+    // The import transaction has committed and the bank reads back, so the old copy can go
+    clearLocalStorageData();
+  } catch (error) {
+    console.warn('Question storage unavailable, changes will not be saved:', error);
+    storageReady = false;
+    store = { ...(readLocalStorageData() || { units: [], questions: [] }), trash: [] };
+  }
+
+  if (store.units.length === 0 || (store.questions.length === 0 && countDefaultQuestions() > 0)) {
+    await replaceStore(buildDefaultData());
+  } else {
+    store = { ...normalizeData(store), trash: store.trash };
+  }
+  await purgeOldTrash();
+  return store;
 }
 
 // ===== Units =====
 export function getUnits() {
-  return loadData().units;
+  return getStore().units;
 }
 
-export function addUnit(name) {
-  const data = loadData();
-  const unit = { id: generateId('unit'), name: name.trim() };
-  data.units.push(unit);
-  saveData(data);
+// details may hold a color, icon, description and level (see unitDetails)
+export async function addUnit(name, details = {}) {
+  const { units } = getStore();
+  const unit = { id: generateId('unit'), name: name.trim(), ...unitDetails(details), position: nextPosition(units) };
+  units.push(unit);
+  await persist({ units: { put: [unit] } });
   return unit;
 }
 
-export function updateUnit(unitId, name) {
-  const data = loadData();
-  const unit = data.units.find(u => u.id === unitId);
+// How a unit's questions are asked: as written, answer-to-prompt, or a mix of both
+export async function setUnitDirection(unitId, direction) {
+  const unit = getStore().units.find(u => u.id === unitId);
+  if (unit && DIRECTIONS.includes(direction)) {
+    unit.direction = direction;
+    await persist({ units: { put: [unit] } });
+  }
+  return unit;
+}
+
+// changes may hold a new name and any of the details addUnit takes
+export async function updateUnit(unitId, changes) {
+  const unit = getStore().units.find(u => u.id === unitId);
   if (unit) {
-    unit.name = name.trim();
-    saveData(data);
+    if (typeof changes.name === 'string') {
+      unit.name = changes.name.trim();
+    }
+    Object.assign(unit, unitDetails(changes));
+    await persist({ units: { put: [unit] } });
   }
   return unit;
 }
 
-export function deleteUnit(unitId) {
-  const data = loadData();
+// Put the units in the given order, e.g. after a tab is dragged; units not listed go last
+export async function reorderUnits(unitIds) {
+  const data = getStore();
+  const order = new Map(unitIds.map((id, index) => [id, index]));
+  const rank = unit => order.get(unit.id) ?? unitIds.length;
+  data.units = withPositions([...data.units].sort((a, b) => rank(a) - rank(b)));
+  await persist({ units: { put: data.units } });
+}
+
+// Grade or difficulty levels in use, for filtering the unit picker
+export function getUnitLevels() {
+  return [...new Set(getUnits().map(u => u.level).filter(Boolean))]
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+// Move a unit and its questions to the trash; resolves with the trash entry
+export async function deleteUnit(unitId) {
+  const data = getStore();
+  const unit = data.units.find(u => u.id === unitId);
+  if (!unit) return null;
+  const removedQuestions = data.questions.filter(q => q.unitId === unitId);
+  const entry = { id: generateId('trash'), type: 'unit', deletedAt: Date.now(), unit, questions: removedQuestions };
   data.units = data.units.filter(u => u.id !== unitId);
   data.questions = data.questions.filter(q => q.unitId !== unitId);
-  saveData(data);
-  return data;
+  data.trash.push(entry);
+  await persist({
+    units: { delete: [unitId] },
+    questions: { delete: removedQuestions.map(q => q.id) },
+    trash: { put: [entry] }
+  });
+  return entry;
+}
+
+// ===== Import / Export =====
+
+// Export units (all of them by default) in the questions.json unit-array format
+export function exportUnits(unitIds = null) {
+  const data = getStore();
+  const units = unitIds ? data.units.filter(u => unitIds.includes(u.id)) : data.units;
+  return units.map(unit => ({
+    unit: unit.name,
+    ...Object.fromEntries(Object.entries(unitDetails(unit)).filter(([, value]) => value)),
+    ...(unit.direction && unit.direction !== 'forward' ? { direction: unit.direction } : {}),
+    question: data.questions
+      .filter(q => q.unitId === unit.id)
+      .map(q => ({
+        question: q.question,
+        correct: q.correct,
+        wrong: q.wrong,
+        ...(q.type && q.type !== 'choice' ? { type: q.type } : {}),
+        ...(q.image ? { image: q.image } : {}),
+        ...(q.audio ? { audio: q.audio } : {}),
+        ...(q.disabled ? { disabled: true } : {})
+      }))
+  }));
+}
+
+// Import units in the unit-array format
+// 'merge' adds new questions to units with the same name, 'replace' swaps out the whole bank
+// Questions that fail validation (see validation.js) are left out and counted as invalid
+export async function importUnits(unitArray, mode = 'merge') {
+  if (!isUnitArray(unitArray)) {
+    throw new Error('The file is not in the unit format: [{ "unit": "...", "question": [...] }]');
+  }
+  const parsed = unitArrayToData(unitArray);
+  const imported = {
+    units: parsed.units,
+    questions: parsed.questions.filter(q => !hasErrors(validateQuestion(q)))
+  };
+  const invalid = unitArray.reduce((sum, item) => sum + (item.question || item.questions).length, 0)
+    - imported.questions.length;
+
+  if (mode === 'replace') {
+    await replaceStore(imported);
+    return { units: imported.units.length, questions: imported.questions.length, skipped: 0, invalid };
+  }
+
+  const data = getStore();
+  const unitIdMap = new Map();
+  const addedUnits = [];
+  imported.units.forEach(unit => {
+    const existing = data.units.find(u => u.name.toLowerCase() === unit.name.toLowerCase());
+    if (existing) {
+      unitIdMap.set(unit.id, existing.id);
+    } else {
+      const added = { ...unit, position: nextPosition(data.units) };
+      data.units.push(added);
+      addedUnits.push(added);
+      unitIdMap.set(unit.id, unit.id);
+    }
+  });
+
+  // Skip questions the unit already has with the same prompt and answer
+  const questionKey = q => `${q.unitId}|${q.question.toLowerCase()}|${q.correct.toLowerCase()}`;
+  const existingKeys = new Set(data.questions.map(questionKey));
+  const addedQuestions = [];
+  imported.questions.forEach(q => {
+    const question = { ...q, unitId: unitIdMap.get(q.unitId), position: nextPosition(data.questions) };
+    if (existingKeys.has(questionKey(question))) return;
+    existingKeys.add(questionKey(question));
+    data.questions.push(question);
+    addedQuestions.push(question);
+  });
+
+  await persist({
+    units: { put: addedUnits },
+    questions: { put: addedQuestions }
+  });
+  return {
+    units: addedUnits.length,
+    questions: addedQuestions.length,
+    skipped: imported.questions.length - addedQuestions.length,
+    invalid
+  };
 }
 
 // ===== Questions =====
 export function getQuestions(unitId = null) {
-  const data = loadData();
+  const data = getStore();
   if (!unitId) return data.questions;
   if (Array.isArray(unitId)) {
     const unitSet = new Set(unitId);
@@ -216,70 +517,294 @@ export function getQuestions(unitId = null) {
   return data.questions.filter(q => q.unitId === unitId);
 }
 
-export function addQuestion(question) {
-  const data = loadData();
-  data.questions.push({
+export async function addQuestion(question) {
+  const data = getStore();
+  const added = {
     ...question,
+    wrong: toWrongList(question.wrong),
     id: generateId('q'),
-    disabled: false
-  });
-  saveData(data);
+    disabled: false,
+    position: nextPosition(data.questions)
+  };
+  data.questions.push(added);
+  await persist({ questions: { put: [added] } });
   return data.questions;
 }
 
-export function updateQuestion(questionId, updatedQuestion) {
-  const data = loadData();
+// Resolves with a copy of the question from before the edit, for undo (see restoreQuestion)
+export async function updateQuestion(questionId, updatedQuestion) {
+  const data = getStore();
   const question = data.questions.find(q => q.id === questionId);
-  if (question) {
-    Object.assign(question, updatedQuestion);
-    saveData(data);
+  if (!question) return null;
+  const previous = { ...question };
+  Object.assign(question, updatedQuestion);
+  if ('wrong' in updatedQuestion) {
+    question.wrong = toWrongList(updatedQuestion.wrong);
   }
-  return data.questions;
+  await persist({ questions: { put: [question] } });
+  return previous;
+}
+
+// Put back questions as they were before an edit, move or enable/disable
+export async function restoreQuestions(snapshots) {
+  const data = getStore();
+  const restored = snapshots
+    .map(snapshot => {
+      const index = data.questions.findIndex(q => q.id === snapshot.id);
+      if (index === -1) return null;
+      data.questions[index] = { ...snapshot };
+      return data.questions[index];
+    })
+    .filter(Boolean);
+  await persist({ questions: { put: restored } });
 }
 
+// Move a question to the trash; resolves with the trash entry
 export function deleteQuestion(questionId) {
-  const data = loadData();
-  data.questions = data.questions.filter(q => q.id !== questionId);
-  saveData(data);
-  return data.questions;
+  return deleteQuestions([questionId]);
 }
 
-export function toggleQuestion(questionId) {
-  const data = loadData();
+// Move questions to the trash as one entry, so they are restored together
+export async function deleteQuestions(questionIds) {
+  const data = getStore();
+  const removed = data.questions.filter(q => questionIds.includes(q.id));
+  if (removed.length === 0) return null;
+  const entry = {
+    id: generateId('trash'),
+    type: removed.length === 1 ? 'question' : 'questions',
+    deletedAt: Date.now(),
+    questions: removed
+  };
+  data.questions = data.questions.filter(q => !questionIds.includes(q.id));
+  data.trash.push(entry);
+  await persist({
+    questions: { delete: removed.map(q => q.id) },
+    trash: { put: [entry] }
+  });
+  return entry;
+}
+
+// Change several questions at once; resolves with copies from before, for restoreQuestions
+async function updateQuestions(questionIds, changes) {
+  const data = getStore();
+  const updated = data.questions.filter(q => questionIds.includes(q.id));
+  const previous = updated.map(q => ({ ...q }));
+  updated.forEach(q => Object.assign(q, changes));
+  await persist({ questions: { put: updated } });
+  return previous;
+}
+
+export function setQuestionsDisabled(questionIds, disabled) {
+  return updateQuestions(questionIds, { disabled });
+}
+
+export function moveQuestions(questionIds, unitId) {
+  return updateQuestions(questionIds, { unitId });
+}
+
+// Copy questions into a unit; resolves with the ids of the copies
+export async function copyQuestions(questionIds, unitId) {
+  const data = getStore();
+  const copies = data.questions
+    .filter(q => questionIds.includes(q.id))
+    .map((q, index) => ({
+      ...q,
+      id: generateId('q'),
+      unitId,
+      position: nextPosition(data.questions) + index
+    }));
+  data.questions.push(...copies);
+  await persist({ questions: { put: copies } });
+  return copies.map(q => q.id);
+}
+
+// Merge duplicates into the first question, keeping every wrong answer
+// Resolves with what undo needs: the first question before the merge and the trash entry
+export async function mergeQuestions(questionIds) {
+  const data = getStore();
+  const [keep, ...others] = data.questions.filter(q => questionIds.includes(q.id));
+  if (!keep || others.length === 0) return null;
+
+  const previous = { ...keep };
+  keep.wrong = cleanWrongAnswers({ ...keep, wrong: [keep, ...others].flatMap(q => q.wrong) });
+  await persist({ questions: { put: [keep] } });
+  const entry = await deleteQuestions(others.map(q => q.id));
+  return { previous, entry };
+}
+
+// Remove questions for good, without the trash (used to undo a copy)
+export async function removeQuestions(questionIds) {
+  const data = getStore();
+  data.questions = data.questions.filter(q => !questionIds.includes(q.id));
+  await persist({ questions: { delete: questionIds } });
+}
+
+// Lowercase without Vietnamese accents, so "boi" finds "bơi"
+function searchText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/\p{Diacritic}/gu, '')
+    .replace(/đ/gi, 'd')
+    .toLowerCase();
+}
+
+// Questions in a unit (or every unit when unitId is null) matching a search
+// in the prompt or any answer, optionally only enabled or disabled ones
+export function searchQuestions(query, { unitId = null, status = 'all' } = {}) {
+  const terms = searchText(query).split(/\s+/).filter(Boolean);
+  return getQuestions(unitId).filter(q => {
+    if (status === 'enabled' && q.disabled) return false;
+    if (status === 'disabled' && !q.disabled) return false;
+    const haystack = searchText([q.question, q.correct, ...q.wrong].join(' '));
+    return terms.every(term => haystack.includes(term));
+  });
+}
+
+export async function toggleQuestion(questionId) {
+  const data = getStore();
   const question = data.questions.find(q => q.id === questionId);
   if (question) {
     question.disabled = !question.disabled;
-    saveData(data);
+    await persist({ questions: { put: [question] } });
   }
   return data.questions;
 }
 
+// ===== Trash =====
+
+// Deleted units and questions, newest first
+export function getTrash() {
+  return [...getStore().trash].sort((a, b) => b.deletedAt - a.deletedAt);
+}
+
+// Put a deleted unit or question back where it was
+// Questions whose unit is gone go to the first unit instead
+export async function restoreFromTrash(trashId) {
+  const data = getStore();
+  const entry = data.trash.find(t => t.id === trashId);
+  if (!entry) return null;
+
+  if (entry.unit && !data.units.some(u => u.id === entry.unit.id)) {
+    data.units = sortByPosition([...data.units, entry.unit]);
+  }
+  const unitIds = new Set(data.units.map(u => u.id));
+  const restored = entry.questions.map(q => ({
+    ...q,
+    unitId: unitIds.has(q.unitId) ? q.unitId : data.units[0].id
+  }));
+  data.questions = sortByPosition([...data.questions, ...restored]);
+  data.trash = data.trash.filter(t => t.id !== trashId);
+
+  await persist({
+    units: { put: entry.unit ? [entry.unit] : [] },
+    questions: { put: restored },
+    trash: { delete: [trashId] }
+  });
+  return entry;
+}
+
+// Delete trash entries for good (all of them when no ids are given)
+export async function emptyTrash(trashIds = null) {
+  const data = getStore();
+  const removeIds = trashIds || data.trash.map(t => t.id);
+  data.trash = data.trash.filter(t => !removeIds.includes(t.id));
+  await persist({ trash: { delete: removeIds } });
+}
+
+function purgeOldTrash() {
+  const cutoff = Date.now() - TRASH_RETENTION_MS;
+  const expiredIds = getStore().trash.filter(t => t.deletedAt < cutoff).map(t => t.id);
+  return expiredIds.length > 0 ? emptyTrash(expiredIds) : Promise.resolve();
+}
+
 // Reset to default questions
-export function resetToDefault() {
-  localStorage.removeItem(STORAGE_KEY);
-  localStorage.removeItem(LEGACY_STORAGE_KEY);
-  return buildDefaultData();
+export async function resetToDefault() {
+  await replaceStore(buildDefaultData());
+  return getStore();
 }
 
 // Get questions for a game session
-export function getGameQuestions(shuffle = true, limit = null, unitIds = null) {
+// Smart review picks due and often-missed questions first (see review.js)
+export function getGameQuestions(shuffle = true, limit = null, unitIds = null, smartReview = false) {
   let questions = getQuestions(unitIds).filter(q => !q.disabled);
+  if (smartReview) {
+    return applyDirections(selectForReview(questions, limit));
+  }
   if (shuffle) {
     questions = [...questions].sort(() => Math.random() - 0.5);
   }
   if (limit && limit > 0) {
     questions = questions.slice(0, limit);
   }
-  return questions;
+  return applyDirections(questions);
+}
+
+// The word a prompt asks about: the quoted part of "What is 'bơi'?", or the whole prompt
+function promptTerm(text) {
+  const quoted = String(text).match(/['‘’"“”]([^'‘’"“”]+)['‘’"“”]/);
+  return (quoted ? quoted[1] : String(text).replace(/\?\s*$/, '')).trim();
 }
 
-// Prepare question with randomized answer positions
-export function prepareQuestion(question) {
-  const isCorrectOnLeft = Math.random() < 0.5;
+// The question asked the other way round, e.g. "Which one means 'swim'?" → "bơi"
+// Wrong answers are the other words asked about in the unit's multiple-choice questions;
+// spelling and fill-in-the-blank prompts aren't words. Null when the unit has none to offer
+function reverseQuestion(question) {
+  if ((question.type || 'choice') !== 'choice') return null;
+  const term = promptTerm(question.question);
+  const correct = question.correct.trim().toLowerCase();
+  const wrong = [...new Set(getQuestions(question.unitId)
+    .filter(q => !q.disabled && (q.type || 'choice') === 'choice' && q.correct.trim().toLowerCase() !== correct)
+    .map(q => promptTerm(q.question))
+    .filter(other => other && other.toLowerCase() !== term.toLowerCase()))];
+  if (!term || wrong.length === 0) return null;
+
+  // The audio clip reads the prompt, which is now the answer
+  const { audio, ...rest } = question;
+  return {
+    ...rest,
+    question: `Which one means '${question.correct}'?`,
+    correct: term,
+    wrong,
+    reversed: true
+  };
+}
+
+// Turn questions round for units set to reverse or mixed (see setUnitDirection)
+// Reversed questions keep their id, so review progress counts for the word either way
+function applyDirections(questions) {
+  const directions = new Map(getUnits().map(u => [u.id, u.direction || 'forward']));
+  return questions.map(question => {
+    const direction = directions.get(question.unitId);
+    const reverse = direction === 'reverse' || (direction === 'mixed' && Math.random() < 0.5);
+    return (reverse && reverseQuestion(question)) || question;
+  });
+}
+
+// Prepare question with random distractors in randomized answer zones
+// optionCount 2 uses left/right tilts; 3 adds nod and 4 adds shake
+export function prepareQuestion(question, optionCount = 2) {
+  const type = question.type || 'choice';
+  const distractorCount = Math.max(1, Math.min(optionCount, ANSWER_ZONES.length) - 1);
+  let distractors = toWrongList(question.wrong)
+    .sort(() => Math.random() - 0.5)
+    .filter(answer => answer !== question.correct);
+  if (type === 'spelling') {
+    // Made-up misspellings fill any places the teacher's own don't
+    distractors = [...new Set([...distractors, ...misspell(question.correct, distractorCount)])];
+  }
+  distractors = distractors.slice(0, distractorCount);
+  const options = [question.correct, ...distractors].sort(() => Math.random() - 0.5);
+  const zones = ANSWER_ZONES.slice(0, options.length);
+  const answers = Object.fromEntries(zones.map((zone, index) => [zone, options[index]]));
+
   return {
-    text: question.question,
-    leftAnswer: isCorrectOnLeft ? question.correct : question.wrong,
-    rightAnswer: isCorrectOnLeft ? question.wrong : question.correct,
-    correctSide: isCorrectOnLeft ? 'left' : 'right'
+    id: question.id,
+    type,
+    text: type === 'spelling' && !question.question ? SPELLING_PROMPT : question.question,
+    image: question.image || null,
+    audio: question.audio || null,
+    correct: question.correct,
+    answers,
+    correctSide: zones[options.indexOf(question.correct)]
   };
 }
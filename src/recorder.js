@@ -0,0 +1,75 @@
+// Records Face Mesh landmark streams to JSON so gestures can be replayed without a camera
+import {
+  TRACKED_LANDMARKS,
+  getTrackingOptions,
+  setResultsListener
+} from './camera.js';
+
+const RECORDING_VERSION = 1;
+
+let recording = null;
+let recordingStart = 0;
+
+// Keep 4 decimals - plenty for angles and keeps files small
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+// Store only the landmarks gesture detection reads, as [x, y, z]
+function compactFace(landmarks) {
+  return Object.fromEntries(
+    TRACKED_LANDMARKS.map(index => {
+      const point = landmarks[index];
+      return [index, [round(point.x), round(point.y), round(point.z)]];
+    })
+  );
+}
+
+function recordFrame(results) {
+  if (!recording) return;
+  recording.frames.push({
+    t: Date.now() - recordingStart,
+    faces: (results.multiFaceLandmarks || []).map(compactFace)
+  });
+}
+
+export function isRecording() {
+  return recording !== null;
+}
+
+// Start capturing every Face Mesh result along with the current tracking settings
+export function startRecording(label = '') {
+  recordingStart = Date.now();
+  recording = {
+    version: RECORDING_VERSION,
+    label,
+    recordedAt: new Date(recordingStart).toISOString(),
+    settings: getTrackingOptions(),
+    frames: [],
+    // Fill in by hand to turn the recording into a check, e.g. [{ "gesture": "left", "player": 0 }]
+    expected: null
+  };
+  setResultsListener(recordFrame);
+}
+
+// Stop capturing and return the finished recording
+export function stopRecording() {
+  setResultsListener(null);
+  const finished = recording;
+  recording = null;
+  return finished;
+}
+
+// Save a recording as a JSON file
+export function downloadRecording(finished) {
+  const name = (finished.label || 'session').trim().replace(/[^a-z0-9-_]+/gi, '-').toLowerCase();
+  const stamp = finished.recordedAt.replace(/[:.]/g, '-');
+  const blob = new Blob([JSON.stringify(finished)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${name}-${stamp}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,78 @@
+// Replays recorded landmark streams through gesture detection - runs in Node or the browser
+import {
+  clearTiltCallback,
+  getTrackingOptions,
+  replayResults,
+  setDwellTime,
+  setPlayerCount,
+  setSmoothing,
+  setTiltCallback,
+  setTiltSettings
+} from './camera.js';
+import { DEFAULT_SMOOTHING } from './smoothing.js';
+
+// Turn a recorded { index: [x, y, z] } face back into landmark objects
+function expandFace(face) {
+  return Object.fromEntries(
+    Object.entries(face).map(([index, [x, y, z]]) => [index, { x, y, z }])
+  );
+}
+
+function applyOptions(options) {
+  setTiltSettings(options.tilt);
+  setDwellTime(options.dwellMs || 0);
+  // Recordings that don't say are replayed with the smoothing the game starts with
+  setSmoothing(options.smoothing || DEFAULT_SMOOTHING);
+  setPlayerCount(options.playerCount || 1);
+}
+
+// Feed every frame of a recording into gesture detection
+// Returns the gestures that fired: [{ t, gesture, player }]
+// Pass overrides ({ tilt, dwellMs, smoothing, playerCount }) to try other settings on the same session,
+// and a canvas to draw the face outlines on as the game screen does
+export function replayRecording(recording, overrides = {}, canvas = null) {
+  const previous = getTrackingOptions();
+  const options = {
+    ...recording.settings,
+    ...overrides,
+    tilt: { ...recording.settings?.tilt, ...overrides.tilt }
+  };
+  const events = [];
+  let frameTime = 0;
+
+  applyOptions(options);
+  setTiltCallback((gesture, player) => {
+    events.push({ t: frameTime, gesture, player });
+  });
+
+  try {
+    recording.frames.forEach(frame => {
+      frameTime = frame.t;
+      replayResults({ multiFaceLandmarks: frame.faces.map(expandFace) }, frame.t, canvas);
+    });
+  } finally {
+    clearTiltCallback();
+    applyOptions(previous);
+  }
+
+  return events;
+}
+
+// Compare fired gestures with the recording's expected list, in order and ignoring timing
+export function compareGestures(events, expected) {
+  const mismatches = [];
+  const length = Math.max(events.length, expected.length);
+
+  for (let i = 0; i < length; i++) {
+    const actual = events[i];
+    const wanted = expected[i];
+    const matches = actual && wanted
+      && actual.gesture === wanted.gesture
+      && actual.player === (wanted.player ?? 0);
+    if (!matches) {
+      mismatches.push({ index: i, expected: wanted || null, actual: actual || null });
+    }
+  }
+
+  return { passed: mismatches.length === 0, mismatches };
+}
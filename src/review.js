@@ -0,0 +1,97 @@
+// Spaced repetition with Leitner boxes: answering right moves a question up a box
+// and it comes back less often; answering wrong sends it back to box 1
+// History is kept per player profile
+import { profileKey } from './profiles.js';
+
+const REVIEW_HISTORY_KEY = 'review-history';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How long a question rests in each box before it is due again, indexed by box (1-5)
+const BOX_INTERVALS_MS = [0, 0, DAY_MS, 3 * DAY_MS, 7 * DAY_MS, 14 * DAY_MS];
+const MAX_BOX = BOX_INTERVALS_MS.length - 1;
+
+function loadHistory() {
+  try {
+    return JSON.parse(localStorage.getItem(profileKey(REVIEW_HISTORY_KEY)) || '{}');
+  } catch (e) {
+    console.warn('Invalid review history, starting fresh:', e);
+    return {};
+  }
+}
+
+function saveHistory(history) {
+  localStorage.setItem(profileKey(REVIEW_HISTORY_KEY), JSON.stringify(history));
+}
+
+// Answer history for a question: { box, due, correct, wrong, lastSeen }, or null if never answered
+export function getReviewEntry(questionId) {
+  return loadHistory()[questionId] || null;
+}
+
+// Record an answer and reschedule the question
+export function recordAnswer(questionId, isCorrect, now = Date.now()) {
+  const history = loadHistory();
+  const entry = history[questionId] || { box: 1, due: now, correct: 0, wrong: 0, lastSeen: null };
+
+  if (isCorrect) {
+    entry.correct++;
+    entry.box = Math.min(MAX_BOX, entry.box + 1);
+  } else {
+    entry.wrong++;
+    entry.box = 1;
+  }
+  entry.due = now + BOX_INTERVALS_MS[entry.box];
+  entry.lastSeen = now;
+
+  history[questionId] = entry;
+  saveHistory(history);
+  return entry;
+}
+
+// New questions count as due so they get introduced
+function isDue(entry, now) {
+  return !entry || entry.due <= now;
+}
+
+function missRate(entry) {
+  if (!entry) return 0;
+  const answered = entry.correct + entry.wrong;
+  return answered > 0 ? entry.wrong / answered : 0;
+}
+
+// Number of due questions for each unit id
+export function countDueByUnit(questions, now = Date.now()) {
+  const history = loadHistory();
+  return questions.reduce((counts, q) => {
+    if (isDue(history[q.id], now)) {
+      counts[q.unitId] = (counts[q.unitId] || 0) + 1;
+    }
+    return counts;
+  }, {});
+}
+
+// Order questions for a smart review: due questions in low boxes and often missed first,
+// then new questions, then the rest by how soon they are due
+// Without a limit only due and new questions are played, or everything if none are due
+export function selectForReview(questions, limit = null, now = Date.now()) {
+  const history = loadHistory();
+  const withEntry = questions.map(q => ({ q, entry: history[q.id] }));
+
+  const dueSeen = withEntry
+    .filter(({ entry }) => entry && isDue(entry, now))
+    .sort((a, b) => a.entry.box - b.entry.box || missRate(b.entry) - missRate(a.entry) || a.entry.due - b.entry.due);
+  const unseen = withEntry
+    .filter(({ entry }) => !entry)
+    .sort(() => Math.random() - 0.5);
+  const notDue = withEntry
+    .filter(({ entry }) => entry && !isDue(entry, now))
+    .sort((a, b) => missRate(b.entry) - missRate(a.entry) || a.entry.due - b.entry.due);
+
+  const due = [...dueSeen, ...unseen].map(({ q }) => q);
+  const ordered = [...due, ...notDue.map(({ q }) => q)];
+
+  if (limit && limit > 0) {
+    return ordered.slice(0, limit);
+  }
+  return due.length > 0 ? due : ordered;
+}
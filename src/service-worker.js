@@ -0,0 +1,69 @@
+// Service worker template - the build fills in the precache list (see plugins/offline.js)
+const PRECACHE_FILES = __PRECACHE_FILES__;
+const CACHE_VERSION = __CACHE_VERSION__;
+const BASE_URL = __BASE_URL__;
+
+const APP_CACHE = `vocab-game-${CACHE_VERSION}`;
+const RUNTIME_CACHE = 'vocab-game-runtime';
+
+// Cache the whole app, including the Face Mesh model, on install
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(APP_CACHE)
+      .then(cache => cache.addAll(PRECACHE_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop caches left behind by older builds
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key !== APP_CACHE && key !== RUNTIME_CACHE)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  // Pages: try the network for updates, fall back to the cached app shell
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request).catch(() => caches.match(BASE_URL, { cacheName: APP_CACHE }))
+    );
+    return;
+  }
+
+  // Our own files: served from the precache, fetched only if missing
+  if (url.origin === self.location.origin) {
+    event.respondWith(
+      caches.match(request).then(cached => cached || fetch(request))
+    );
+    return;
+  }
+
+  // Other origins: use the cached copy and refresh it in the background
+  event.respondWith(
+    caches.open(RUNTIME_CACHE).then(cache =>
+      cache.match(request).then(cached => {
+        const network = fetch(request)
+          .then(response => {
+            if (response.ok || response.type === 'opaque') {
+              cache.put(request, response.clone());
+            }
+            return response;
+          })
+          .catch(() => cached);
+        return cached || network;
+      })
+    )
+  );
+});
@@ -0,0 +1,93 @@
+// Share a unit as a link: the unit-array JSON is compressed into the URL fragment,
+// so it never reaches a server, and the link can be shown as a QR code
+import QRCode from 'qrcode';
+
+const SHARE_PARAM = 'share';
+
+// Shared links can hold any value, so text fields come back as trimmed strings or not at all
+function sharedText(value) {
+  return typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '';
+}
+
+// The fields a shared question keeps; pictures and audio would make the link far too long to scan
+function sharedQuestion(q) {
+  const type = sharedText(q.type);
+  return {
+    question: sharedText(q.question),
+    correct: sharedText(q.correct),
+    wrong: (Array.isArray(q.wrong) ? q.wrong : [q.wrong]).map(sharedText).filter(Boolean),
+    ...(type ? { type } : {})
+  };
+}
+
+function withoutMedia(unitArray) {
+  return unitArray.map(({ question, ...unit }) => ({
+    ...unit,
+    question: question.map(sharedQuestion)
+  }));
+}
+
+async function compress(text) {
+  const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function decompress(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Response(stream).text();
+}
+
+// URL-safe base64 without padding
+function toBase64Url(bytes) {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+export function isShareAvailable() {
+  return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+}
+
+// Link to this page that carries the units (see exportUnits) in its fragment
+export async function buildShareUrl(unitArray) {
+  const data = toBase64Url(await compress(JSON.stringify(withoutMedia(unitArray))));
+  return `${location.origin}${location.pathname}#${SHARE_PARAM}=${data}`;
+}
+
+// The unit array from a share link, or null when the page wasn't opened from one
+export async function readShareFromUrl() {
+  const params = new URLSearchParams(location.hash.slice(1));
+  const data = params.get(SHARE_PARAM);
+  if (!data) return null;
+
+  try {
+    return JSON.parse(await decompress(fromBase64Url(data)));
+  } catch (error) {
+    console.error('Failed to read shared unit:', error);
+    throw new Error('This share link is damaged or incomplete. Ask for the link again.');
+  }
+}
+
+// The questions of one unit from a share link, ready for addQuestion
+export function sharedQuestions(unit) {
+  return (unit.question || unit.questions)
+    .filter(q => q && typeof q === 'object')
+    .map(sharedQuestion);
+}
+
+// Drop the shared data from the address bar so a reload doesn't offer it again
+export function clearShareFromUrl() {
+  history.replaceState(null, '', `${location.pathname}${location.search}`);
+}
+
+// Draw the link as a QR code; rejects when it is too long to fit in one
+export function drawQRCode(canvas, text) {
+  return QRCode.toCanvas(canvas, text, { errorCorrectionLevel: 'L', margin: 2, width: 280 });
+}
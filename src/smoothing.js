@@ -0,0 +1,59 @@
+// Signal smoothing for the head tilt angle (One Euro filter)
+// See Casiez et al., "1€ Filter: A Simple Speed-based Low-pass Filter for Noisy Input"
+
+// Lower minCutoff smooths more when the head is still; beta lets fast movements through
+export const SMOOTHING_PRESETS = {
+  off: null,
+  light: { minCutoff: 3, beta: 0.05, dCutoff: 1 },
+  medium: { minCutoff: 1.5, beta: 0.02, dCutoff: 1 },
+  strong: { minCutoff: 0.6, beta: 0.01, dCutoff: 1 }
+};
+
+export const DEFAULT_SMOOTHING = 'medium';
+
+// Smoothing factor for a low-pass filter with the given cutoff (Hz) and time step (s)
+function smoothingFactor(cutoff, dt) {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / dt);
+}
+
+// Create a One Euro filter; filter(value, timestampMs) returns the smoothed value
+// With the 'off' preset values pass through unchanged
+export function createAngleFilter(strength = DEFAULT_SMOOTHING) {
+  const params = SMOOTHING_PRESETS[strength] === undefined
+    ? SMOOTHING_PRESETS[DEFAULT_SMOOTHING]
+    : SMOOTHING_PRESETS[strength];
+  let lastValue = null;
+  let lastDerivative = 0;
+  let lastTime = null;
+
+  return {
+    filter(value, timestamp) {
+      if (!params) return value;
+
+      if (lastValue === null || timestamp <= lastTime) {
+        lastValue = value;
+        lastTime = timestamp;
+        return value;
+      }
+
+      const dt = (timestamp - lastTime) / 1000;
+      const derivative = (value - lastValue) / dt;
+      const alphaD = smoothingFactor(params.dCutoff, dt);
+      lastDerivative = alphaD * derivative + (1 - alphaD) * lastDerivative;
+
+      // Speed up the cutoff while the head is moving so real tilts aren't delayed
+      const cutoff = params.minCutoff + params.beta * Math.abs(lastDerivative);
+      const alpha = smoothingFactor(cutoff, dt);
+      lastValue = alpha * value + (1 - alpha) * lastValue;
+      lastTime = timestamp;
+      return lastValue;
+    },
+
+    reset() {
+      lastValue = null;
+      lastDerivative = 0;
+      lastTime = null;
+    }
+  };
+}
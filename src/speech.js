@@ -0,0 +1,76 @@
+// Read-aloud of prompts and answers with the browser's speechSynthesis
+const SPEECH_SETTINGS_KEY = 'speech-settings';
+
+// Prompts are Vietnamese and answers English unless a specific voice is picked
+export const DEFAULT_SPEECH_SETTINGS = {
+  readPrompt: false,
+  readAnswer: false,
+  promptLang: 'vi-VN',
+  promptVoice: '',
+  answerLang: 'en-US',
+  answerVoice: '',
+  rate: 0.9
+};
+
+export function isSpeechAvailable() {
+  return typeof window !== 'undefined' && 'speechSynthesis' in window;
+}
+
+export function loadSpeechSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SPEECH_SETTINGS_KEY) || '{}');
+    return { ...DEFAULT_SPEECH_SETTINGS, ...saved };
+  } catch (e) {
+    console.warn('Invalid speech settings, using defaults:', e);
+    return { ...DEFAULT_SPEECH_SETTINGS };
+  }
+}
+
+export function saveSpeechSettings(settings) {
+  localStorage.setItem(SPEECH_SETTINGS_KEY, JSON.stringify(settings));
+}
+
+// Installed voices; some browsers load them asynchronously after page load
+export function getVoices() {
+  if (!isSpeechAvailable()) return Promise.resolve([]);
+  const voices = window.speechSynthesis.getVoices();
+  if (voices.length > 0) return Promise.resolve(voices);
+
+  return new Promise(resolve => {
+    const timer = setTimeout(() => resolve(window.speechSynthesis.getVoices()), 1000);
+    window.speechSynthesis.addEventListener('voiceschanged', () => {
+      clearTimeout(timer);
+      resolve(window.speechSynthesis.getVoices());
+    }, { once: true });
+  });
+}
+
+// Speak text with the chosen voice, or the browser's default voice for the language
+// Utterances queue up, so an answer and the next prompt don't cut each other off
+export function speak(text, { lang, voiceURI, rate = DEFAULT_SPEECH_SETTINGS.rate } = {}) {
+  if (!isSpeechAvailable() || !text) return;
+  const utterance = new SpeechSynthesisUtterance(text);
+  const voice = voiceURI && window.speechSynthesis.getVoices().find(v => v.voiceURI === voiceURI);
+  if (voice) {
+    utterance.voice = voice;
+    utterance.lang = voice.lang;
+  } else if (lang) {
+    utterance.lang = lang;
+  }
+  utterance.rate = rate;
+  window.speechSynthesis.speak(utterance);
+}
+
+export function speakPrompt(text, settings = loadSpeechSettings()) {
+  speak(text, { lang: settings.promptLang, voiceURI: settings.promptVoice, rate: settings.rate });
+}
+
+export function speakAnswer(text, settings = loadSpeechSettings()) {
+  speak(text, { lang: settings.answerLang, voiceURI: settings.answerVoice, rate: settings.rate });
+}
+
+export function stopSpeaking() {
+  if (isSpeechAvailable()) {
+    window.speechSynthesis.cancel();
+  }
+}
@@ -0,0 +1,76 @@
+// Made-up misspellings for spelling questions, e.g. "swim" → "swimm", "swin", "sweem"
+// Each comes from one small, believable mistake so the right spelling isn't obvious
+
+const VOWEL_SWAPS = { a: 'e', e: 'i', i: 'e', o: 'u', u: 'o', y: 'i' };
+
+// Letter groups that sound alike and are often mixed up
+const SOUND_SWAPS = [
+  ['ee', 'ea'], ['ea', 'ee'], ['ie', 'ei'], ['ei', 'ie'], ['ou', 'ow'], ['ow', 'ou'],
+  ['ph', 'f'], ['f', 'ph'], ['ck', 'k'], ['k', 'ck'], ['c', 'k'], ['s', 'c'], ['tion', 'sion'], ['ight', 'ite']
+];
+
+const isLetter = char => /\p{L}/u.test(char || '');
+const isVowel = char => /[aeiouy]/i.test(char || '');
+
+// Misspellings of a single word
+function wordCandidates(word) {
+  const letters = [...word];
+  if (letters.length < 2) return [];
+  const results = new Set();
+  const replaceAt = (index, length, text) => {
+    results.add([...letters.slice(0, index), text, ...letters.slice(index + length)].join(''));
+  };
+
+  letters.forEach((char, i) => {
+    if (!isLetter(char)) return;
+    const next = letters[i + 1];
+
+    // Two neighbouring letters the wrong way round
+    if (i > 0 && isLetter(next) && next !== char) {
+      replaceAt(i, 2, next + char);
+    }
+    // A single consonant doubled, or a double letter made single
+    if (next === char) {
+      replaceAt(i, 2, char);
+    } else if (i > 0 && !isVowel(char) && letters[i - 1] !== char) {
+      replaceAt(i, 1, char + char);
+    }
+    // One vowel for another
+    const swap = VOWEL_SWAPS[char.toLowerCase()];
+    if (i > 0 && swap) {
+      replaceAt(i, 1, char === char.toUpperCase() ? swap.toUpperCase() : swap);
+    }
+    // A silent or easily missed letter dropped
+    if (i > 0 && letters.length > 3) {
+      replaceAt(i, 1, '');
+    }
+  });
+
+  const lower = word.toLowerCase();
+  SOUND_SWAPS.forEach(([from, to]) => {
+    const index = lower.indexOf(from, 1);
+    if (index > 0) {
+      results.add(word.slice(0, index) + to + word.slice(index + from.length));
+    }
+  });
+
+  return [...results];
+}
+
+// Misspell one word at a time, so "ride a bike" can become "ride a biek"
+function candidates(text) {
+  const parts = text.split(/(\s+)/);
+  return parts.flatMap((part, index) => wordCandidates(part).map(candidate =>
+    [...parts.slice(0, index), candidate, ...parts.slice(index + 1)].join('')
+  ));
+}
+
+// Up to count different misspellings of word, in random order
+export function misspell(word, count = 1) {
+  const text = String(word || '').trim();
+  const lower = text.toLowerCase();
+  return candidates(text)
+    .filter(candidate => candidate.trim() && candidate.toLowerCase() !== lower)
+    .sort(() => Math.random() - 0.5)
+    .slice(0, count);
+}
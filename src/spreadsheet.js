@@ -0,0 +1,159 @@
+// CSV import/export for spreadsheets, converting to and from the questions.json unit-array format
+
+// What each CSV column can hold; several columns may hold wrong answers
+export const COLUMN_FIELDS = {
+  ignore: '— Ignore —',
+  unit: 'Unit',
+  question: 'Question',
+  correct: 'Correct answer',
+  wrong: 'Wrong answer(s)',
+  type: 'Question type'
+};
+
+// Separates several wrong answers written in one cell
+const WRONG_SEPARATOR = '|';
+
+// Header names spreadsheets commonly use for each field
+// Type and wrong come first so "question type" and "wrong answer" aren't taken
+// for the question and the correct answer
+const HEADER_GUESSES = {
+  type: ['type', 'kind'],
+  wrong: ['wrong', 'distractor', 'incorrect'],
+  unit: ['unit', 'lesson', 'topic'],
+  question: ['question', 'prompt', 'word', 'vietnamese'],
+  correct: ['correct', 'answer', 'english', 'right']
+};
+
+// Parse CSV text (RFC 4180: quoted fields, doubled quotes, newlines inside quotes)
+// Semicolon-separated files from spreadsheet apps in some locales are detected too
+export function parseCSV(text) {
+  const source = text.replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0];
+  const delimiter = firstLine.split(';').length > firstLine.split(',').length ? ';' : ',';
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows
+    .map(cells => cells.map(cell => cell.trim()))
+    .filter(cells => cells.some(Boolean));
+}
+
+function escapeCell(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCSV(rows) {
+  return rows.map(row => row.map(escapeCell).join(',')).join('\r\n');
+}
+
+// Guess which field each column holds from the header row
+// Returns null when the first row doesn't look like a header
+export function guessColumnMapping(headerRow) {
+  const mapping = headerRow.map(cell => {
+    const name = cell.toLowerCase();
+    const match = Object.entries(HEADER_GUESSES)
+      .find(([, guesses]) => guesses.some(guess => name.includes(guess)));
+    return match ? match[0] : 'ignore';
+  });
+  return mapping.includes('question') && mapping.includes('correct') ? mapping : null;
+}
+
+// Column mapping for files without a header: unit, question, correct, then wrong answers
+export function defaultColumnMapping(columnCount) {
+  const order = ['unit', 'question', 'correct'];
+  return Array.from({ length: columnCount }, (_, index) => order[index] || 'wrong');
+}
+
+// Group mapped rows into units; rows without a unit go into fallbackUnitName
+export function rowsToUnitArray(rows, mapping, fallbackUnitName) {
+  const units = new Map();
+
+  rows.forEach(row => {
+    const valuesFor = field => mapping
+      .map((mapped, index) => (mapped === field ? row[index] || '' : null))
+      .filter(value => value !== null);
+
+    const unitName = valuesFor('unit').find(Boolean) || fallbackUnitName;
+    const question = valuesFor('question').find(Boolean) || '';
+    const correct = valuesFor('correct').find(Boolean);
+    const type = (valuesFor('type').find(Boolean) || 'choice').toLowerCase();
+    const wrong = valuesFor('wrong')
+      .flatMap(cell => cell.split(WRONG_SEPARATOR))
+      .map(answer => answer.trim())
+      .filter(Boolean);
+    // Spelling rows only need the word; their misspellings can be made up
+    if (!correct || (type !== 'spelling' && (!question || wrong.length === 0))) return;
+
+    if (!units.has(unitName)) {
+      units.set(unitName, { unit: unitName, question: [] });
+    }
+    units.get(unitName).question.push({ question, correct, wrong, ...(type !== 'choice' ? { type } : {}) });
+  });
+
+  return Array.from(units.values());
+}
+
+// Flatten the unit-array format into CSV rows with one column per wrong answer
+export function unitArrayToRows(unitArray) {
+  const questions = unitArray.flatMap(item => item.question.map(q => ({ unit: item.unit, ...q })));
+  const wrongColumns = Math.max(1, ...questions.map(q => q.wrong.length));
+  const header = ['unit', 'type', 'question', 'correct',
+    ...Array.from({ length: wrongColumns }, (_, index) => `wrong ${index + 1}`)];
+
+  return [
+    header,
+    ...questions.map(q => [
+      q.unit,
+      q.type || 'choice',
+      q.question,
+      q.correct,
+      ...Array.from({ length: wrongColumns }, (_, index) => q.wrong[index] || '')
+    ])
+  ];
+}
+
+// Save text as a file through a temporary download link
+export function downloadFile(text, fileName, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
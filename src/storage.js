@@ -0,0 +1,107 @@
+// IndexedDB storage layer with a versioned schema
+// Add a migration to the end of MIGRATIONS to change the schema; never edit or
+// reorder existing ones, browsers that already ran them won't run them again
+const DB_NAME = 'vocabulary-game';
+
+// MIGRATIONS[n] upgrades the database from version n to version n + 1
+const MIGRATIONS = [
+  // 1: units and questions (indexed by unit), plus key/value metadata
+  (db) => {
+    db.createObjectStore('units', { keyPath: 'id' });
+    const questions = db.createObjectStore('questions', { keyPath: 'id' });
+    questions.createIndex('unitId', 'unitId');
+    db.createObjectStore('meta', { keyPath: 'key' });
+  },
+  // 2: trash bin for deleted units and questions
+  (db) => {
+    db.createObjectStore('trash', { keyPath: 'id' });
+  }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS.length;
+
+let dbPromise = null;
+
+export function isStorageAvailable() {
+  return typeof indexedDB !== 'undefined';
+}
+
+// Open the database once, running any migrations it hasn't had yet
+export function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (!isStorageAvailable()) {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, SCHEMA_VERSION);
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      for (let version = event.oldVersion; version < SCHEMA_VERSION; version++) {
+        console.log(`Migrating storage to version ${version + 1}`);
+        MIGRATIONS[version](db, request.transaction);
+      }
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      // Another tab opened a newer version; close so its upgrade isn't blocked
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => console.warn('Storage upgrade is waiting for other tabs to close');
+  });
+
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+  return dbPromise;
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Storage transaction aborted'));
+  });
+}
+
+// Every record in a store
+export async function getAll(storeName) {
+  const db = await openDatabase();
+  return requestToPromise(db.transaction(storeName).objectStore(storeName).getAll());
+}
+
+// Write several stores in one transaction: { storeName: { put: [...], delete: [...ids], clear: true } }
+export async function writeStores(changes) {
+  const db = await openDatabase();
+  const transaction = db.transaction(Object.keys(changes), 'readwrite');
+
+  Object.entries(changes).forEach(([storeName, { put = [], delete: deleteIds = [], clear = false }]) => {
+    const store = transaction.objectStore(storeName);
+    if (clear) store.clear();
+    deleteIds.forEach(id => store.delete(id));
+    put.forEach(record => store.put(record));
+  });
+
+  return transactionDone(transaction);
+}
+
+export async function getMeta(key) {
+  const db = await openDatabase();
+  const record = await requestToPromise(db.transaction('meta').objectStore('meta').get(key));
+  return record ? record.value : undefined;
+}
+
+export function setMeta(key, value) {
+  return writeStores({ meta: { put: [{ key, value }] } });
+}
@@ -0,0 +1,32 @@
+// Short message at the bottom of the screen with an optional action such as Undo
+const TOAST_DURATION_MS = 6000;
+
+let hideTimer = null;
+let currentAction = null;
+
+function hideToast() {
+  clearTimeout(hideTimer);
+  hideTimer = null;
+  currentAction = null;
+  document.getElementById('toast').classList.add('hidden');
+}
+
+// A new toast replaces the one showing; its action can only run once
+export function showToast(message, { actionLabel = 'Undo', onAction = null, duration = TOAST_DURATION_MS } = {}) {
+  const toast = document.getElementById('toast');
+  const actionBtn = document.getElementById('toast-action');
+
+  clearTimeout(hideTimer);
+  document.getElementById('toast-message').textContent = message;
+  currentAction = onAction;
+  actionBtn.textContent = actionLabel;
+  actionBtn.classList.toggle('hidden', !onAction);
+  actionBtn.onclick = () => {
+    const action = currentAction;
+    hideToast();
+    if (action) action();
+  };
+
+  toast.classList.remove('hidden');
+  hideTimer = setTimeout(hideToast, duration);
+}
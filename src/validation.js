@@ -0,0 +1,145 @@
+// Validation rules for questions, and duplicate/conflict detection across the bank
+// Each issue is { code, severity: 'error' | 'warning', message, questionIds }
+// Errors make a question unplayable; warnings are worth a look but can be saved
+import { misspell } from './spelling.js';
+
+// A fill-in-the-blank sentence marks its gap with two or more underscores
+export const BLANK_PATTERN = /_{2,}/;
+
+// Compare answers ignoring case and spacing, but not accents ("bơi" and "bói" differ)
+export function normalizeAnswer(text) {
+  return String(text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Problems within a single question
+// Spelling questions may leave out the prompt and wrong answers; misspellings are made up
+export function validateQuestion(question) {
+  const issues = [];
+  const ids = question.id ? [question.id] : [];
+  const type = question.type || 'choice';
+  const correct = normalizeAnswer(question.correct);
+  const wrong = [].concat(question.wrong || []).map(normalizeAnswer).filter(Boolean);
+
+  if (type !== 'spelling' && !normalizeAnswer(question.question)) {
+    issues.push({ code: 'empty-question', severity: 'error', message: 'The question is empty.', questionIds: ids });
+  }
+  if (type === 'blank' && normalizeAnswer(question.question) && !BLANK_PATTERN.test(question.question)) {
+    issues.push({ code: 'no-blank', severity: 'error', message: 'The sentence has no gap. Mark it with ___.', questionIds: ids });
+  }
+  if (!correct) {
+    issues.push({ code: 'empty-correct', severity: 'error', message: 'The correct answer is empty.', questionIds: ids });
+  }
+  if (type === 'spelling') {
+    if (correct && wrong.length === 0 && misspell(question.correct).length === 0) {
+      issues.push({
+        code: 'no-wrong',
+        severity: 'error',
+        message: `No misspelling can be made from "${question.correct}". Add one as a wrong answer.`,
+        questionIds: ids
+      });
+    }
+  } else if (wrong.length === 0) {
+    issues.push({ code: 'no-wrong', severity: 'error', message: 'There is no wrong answer.', questionIds: ids });
+  }
+  if (correct && wrong.includes(correct)) {
+    issues.push({
+      code: 'wrong-equals-correct',
+      severity: 'error',
+      message: `"${question.correct}" is both the correct answer and a wrong answer.`,
+      questionIds: ids
+    });
+  }
+  if (new Set(wrong).size < wrong.length) {
+    issues.push({
+      code: 'duplicate-wrong',
+      severity: 'warning',
+      message: 'The same wrong answer is listed more than once.',
+      questionIds: ids
+    });
+  }
+  return issues;
+}
+
+export function hasErrors(issues) {
+  return issues.some(issue => issue.severity === 'error');
+}
+
+// Every problem in the bank: per-question rules, exact duplicates inside a unit,
+// and the same question with different correct answers (in any unit)
+export function checkBank(questions, units = []) {
+  const unitNames = new Map(units.map(u => [u.id, u.name]));
+  const issues = questions.flatMap(validateQuestion);
+
+  const byPrompt = new Map();
+  questions.forEach(q => {
+    const key = normalizeAnswer(q.question);
+    if (!key) return;
+    if (!byPrompt.has(key)) byPrompt.set(key, []);
+    byPrompt.get(key).push(q);
+  });
+
+  byPrompt.forEach(group => {
+    if (group.length < 2) return;
+
+    const duplicates = new Map();
+    group.forEach(q => {
+      const key = `${q.unitId}|${normalizeAnswer(q.correct)}`;
+      if (!duplicates.has(key)) duplicates.set(key, []);
+      duplicates.get(key).push(q);
+    });
+    duplicates.forEach(copies => {
+      if (copies.length < 2) return;
+      issues.push({
+        code: 'duplicate',
+        severity: 'warning',
+        message: `"${copies[0].question}" appears ${copies.length} times in ${unitNames.get(copies[0].unitId) || 'the same unit'}.`,
+        questionIds: copies.map(q => q.id)
+      });
+    });
+
+    const answers = new Set(group.map(q => normalizeAnswer(q.correct)));
+    if (answers.size > 1) {
+      const where = group.map(q => `"${q.correct}" (${unitNames.get(q.unitId) || 'unknown unit'})`);
+      issues.push({
+        code: 'conflict',
+        severity: 'warning',
+        message: `"${group[0].question}" has different correct answers: ${[...new Set(where)].join(', ')}.`,
+        questionIds: group.map(q => q.id)
+      });
+    }
+  });
+
+  return issues;
+}
+
+// Problems a new or edited question would have, including duplicates of other questions
+export function validateAgainstBank(question, bank, units = []) {
+  const candidate = { ...question, id: question.id || 'new-question' };
+  const others = bank.filter(q => q.id !== candidate.id);
+  return checkBank([...others, candidate], units)
+    .filter(issue => issue.questionIds.includes(candidate.id));
+}
+
+// Issues for each question id, for highlighting rows in the manager
+export function issuesByQuestion(issues) {
+  const map = new Map();
+  issues.forEach(issue => {
+    issue.questionIds.forEach(id => {
+      if (!map.has(id)) map.set(id, []);
+      map.get(id).push(issue);
+    });
+  });
+  return map;
+}
+
+// Wrong answers without repeats or the correct answer, for the quick fix
+export function cleanWrongAnswers(question) {
+  const correct = normalizeAnswer(question.correct);
+  const seen = new Set();
+  return (question.wrong || []).filter(answer => {
+    const key = normalizeAnswer(answer);
+    if (!key || key === correct || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
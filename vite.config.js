@@ -1,6 +1,11 @@
 import { defineConfig } from 'vite'
+import { mediapipeAssets, serviceWorker } from './plugins/offline.js'
 
 export default defineConfig({
+  plugins: [
+    mediapipeAssets(),
+    serviceWorker()
+  ],
   server: {
     port: 5173,
     open: true,